@@ -16,242 +16,4220 @@ FlareTail.app.Router = class Router {
    * Get a Router instance.
    * @param {String} root - The app's root path. Usually `/`.
    * @param {String} launch_path - The app's launch path.
-   * @param {Object} routes - Custom routes. The key is a pattern, value is an Object contains `view` (Object) and
-   *  `catch_all` (Boolean, optional). See the example below.
+   * @param {(String|Function)} [scroll_region] - CSS selector of the main scrollable region, usually an element with a
+   *  `FlareTail.widgets.ScrollBar`, or a function that takes the view instance and returns the element. Its scroll
+   *  position is saved per history entry, and restored when going back or forward.
+   * @param {Object} [history] - History backend, such as `FlareTail.app.Router.BrowserHistory` (default),
+   *  `FlareTail.app.Router.HashHistory` or `FlareTail.app.Router.MemoryHistory`. A custom backend should implement the
+   *  same interface: the `url` and `state` properties, and the `push`, `replace`, `go`, `listen` and `notify` methods.
+   * @param {Object} routes - Custom routes. The key is a pattern, value is an Object containing the following
+   *  properties. See the example below.
+   *  - view: View class, or an async function that loads and returns the class or a module exporting it as `default`,
+   *    so the view can be loaded on demand.
+   *  - name (optional): Route name used to build a URL with `url_for()`. The pattern may contain named capture groups
+   *    like `(?<id>\\d+)` to be filled with parameters.
+   *  - catch_all (optional): If `true`, only one view instance will be created for the route.
+   *  - query_instances (optional): By default, a query string change reactivates the existing view instance. If
+   *    `true`, a new instance will be created for each distinct query; if it's an Array of parameter names, only these
+   *    parameters will be taken into account.
+   *  - max_instances (optional): View instances are cached per route until they are evicted. If the number of instances
+   *    exceeds this limit, the least recently used ones will be evicted, and their `destroy` method will be called.
+   *  - max_idle (optional): Milliseconds since the last activation, after which instances will be evicted. A timer is
+   *    scheduled for the eviction, so it happens even while the app stays on the same view.
+   *  - title (optional): Document title, or a function that takes the named parameters and route info, and returns the
+   *    title. If omitted, the view instance's `title` property will be used in the same way, if defined.
+   *  - scroll_region (optional): Overrides the global `scroll_region` option for the route.
+   *  - before_enter, before_leave, after_enter (optional): Navigation guards. See `add_guard()` for details.
+   *  - children (optional): Nested routes, whose patterns follow the parent's pattern. The parent's view works as a
+   *    layout that is created once and kept alive while the child views change inside it. Each view receives its own
+   *    arguments, and the parent layout instance as the `layout` property of the route info.
+   * @param {Object} [special_routes] - Optional routes used when locating a URL fails.
+   * @param {Object} [special_routes.not_found] - Route shown when no route matches the URL, containing `view` and
+   *  other options like a normal route. If omitted, the router navigates to the launch path instead.
+   * @param {Object} [special_routes.error] - Route shown when a view constructor throws or a guard rejects. The view
+   *  receives a route info Object containing the original `path` and the `error`. If omitted, the error is rethrown.
+   *  In either case, a `Router#NotFound` or `Router#Error` event will be fired, which can be used for telemetry.
    * @returns {Router}
    * @example
    *  ```js
    *  BzDeck.router = new FlareTail.app.Router(BzDeck.config.app, {
-   *    '/bug/(\\d+)': { view: BzDeck.DetailsPageView },
-   *    '/home/(\\w+)': { view: BzDeck.HomePageView, catch_all: true },
-   *    '/settings': { view: BzDeck.SettingsPageView },
+   *    '/bug/(?<id>\\d+)': { name: 'bug', view: BzDeck.DetailsPageView, title: ({ id }) => `Bug ${id}` },
+   *    '/home': { view: BzDeck.HomePageView, children: {
+   *      '/(?<folder>\\w+)': { name: 'home', view: BzDeck.FolderView, catch_all: true },
+   *    } },
+   *    '/settings': { name: 'settings', view: async () => import('./views/settings-page.js'), title: 'Settings' },
+   *    '/search': { name: 'search', view: BzDeck.SearchPageView, query_instances: ['q'] },
+   *  }, {
+   *    not_found: { view: BzDeck.NotFoundPageView },
+   *    error: { view: BzDeck.ErrorPageView },
    *  });
+   *
+   *  BzDeck.router.url_for('bug', { id: 123456 }); // -> '/bug/123456'
+   *  BzDeck.router.navigate({ name: 'home', params: { folder: 'inbox' } });
+   *  BzDeck.router.navigate({ name: 'search', query: { q: 'crash', product: ['Firefox', 'Core'] } });
    *  ```
    */
-  constructor ({ root, launch_path } = {}, routes) {
+  constructor ({ root, launch_path, scroll_region, history = new Router.BrowserHistory() } = {}, routes,
+               { not_found, error } = {}) {
     // Specify the base URL of the app, without a trailing slash
     this.root = root.match(/(.*)\/$/)[1] || '';
     // Specify the launch path
     this.launch_path = launch_path || root || '/';
+    // Specify the history backend
+    this.history = history;
+    // Specify the main scrollable region
+    this.scroll_region = scroll_region;
     // Specify the routes
     this.routes = routes;
+    // Specify the special routes, each of which has only one instance
+    this.not_found = not_found ? { ...not_found, catch_all: true } : undefined;
+    this.error = error ? { ...error, catch_all: true } : undefined;
+    // Global navigation guards
+    this.guards = { before_enter: new Set(), before_leave: new Set(), after_enter: new Set() };
+    // The currently displayed route, including the view instance
+    this.current = undefined;
+    // Last activation time of each view instance, used to evict idle instances
+    this.activated = new WeakMap();
+    // Scroll positions of the visited history entries, least recently saved first
+    this.scroll_positions = new Map();
+    // Maximum number of scroll positions to keep, so a long-running session doesn't grow the map indefinitely
+    this.max_scroll_positions = 100;
+    // Timer to evict the next idle view instance
+    this.prune_timer = undefined;
+    // Number of view loaders currently running
+    this.loading_count = 0;
+    // Used to fire router events
+    this.events = new FlareTail.app.Event('Router');
+    // Increase the counter on every navigation, so an outdated navigation can be dropped after guards are resolved
+    this.navigation_count = 0;
 
-    window.addEventListener('popstate', event => this.locate());
+    this.history.listen(() => {
+      if (this.reverting) {
+        this.reverting = false;
+      } else {
+        this.pending = this.locate();
+        // `navigate()` still returns the rejected Promise to the caller, but a back/forward navigation has no caller,
+        // so handle the rejection here. `Router#Error` has already been fired and the error logged in debug mode
+        this.pending.catch(error => {
+          if (!FlareTail.debug) {
+            console.error('[Router] Failed to locate the current URL', error);
+          }
+        });
+      }
+    });
+  }
+
+  /**
+   * Register a global navigation guard. A guard is called with the `to` and `from` route info Objects and may return
+   *  a `Promise`. The (resolved) return value determines how the navigation proceeds:
+   *  - `undefined` or `true`: Continue.
+   *  - `false`: Cancel the navigation and revert the URL.
+   *  - `String` or `{ name, params }`: Redirect to the path or named route.
+   *  - `{ confirm: String }`: Ask the user with the message, then continue or cancel.
+   *  The return values of `after_enter` guards are ignored. The same hooks can also be defined per route.
+   * @param {String} type - `before_enter`, `before_leave` or `after_enter`.
+   * @param {Function} guard - Function called on navigation.
+   * @returns {Function} Function to remove the guard.
+   */
+  add_guard (type, guard) {
+    this.guards[type].add(guard);
+
+    return () => this.guards[type].delete(guard);
+  }
+
+  /**
+   * Ask the user to confirm leaving the current page. Apps can override this to show a custom dialog.
+   * @param {String} message - Confirmation message.
+   * @returns {Promise.<Boolean>} Whether the user has confirmed.
+   */
+  async confirm (message) {
+    return window.confirm(message);
+  }
+
+  /**
+   * Find a route matching the specified path. A route with `children` matches the beginning of the path, then one of
+   * the children has to match the rest, otherwise the route itself has to match the whole path.
+   * @param {String} path - URL pathname including the app's root.
+   * @param {Object} [routes] - Routes to search. The default is the top-level routes.
+   * @param {Number} [offset=0] - Length of the path already matched by the parent routes.
+   * @param {Array.<Object>} [layouts=[]] - Parent routes already matched.
+   * @returns {Object} Route details containing `route`, `args` (positional arguments), `info` (route info Object) and
+   *  `layouts` (details of the parent routes, outermost first), or `undefined` if not found.
+   */
+  find_route (path, routes = this.routes, offset = 0, layouts = []) {
+    const rest = path.substr(offset);
+    // Decode the arguments encoded by `url_for`, keeping a malformed escape sequence as is, then convert numbers
+    const convert = arg => {
+      if (arg === undefined) {
+        return arg;
+      }
+
+      try {
+        arg = decodeURIComponent(arg);
+      } catch (ex) {} // URIError
+
+      return isNaN(arg) ? arg : Number(arg);
+    };
+
+    for (const [pattern, route] of Object.entries(routes)) {
+      const prefix = routes === this.routes ? this.root : '';
+      // A parent route should match whole path segments
+      const match = rest.match(new RegExp(`^${prefix}${pattern}${route.children ? '(?=/|$)' : '$'}`));
+
+      if (!match) {
+        continue;
+      }
+
+      const params = Object.entries(match.groups || {}).reduce((obj, [key, arg]) => {
+        obj[key] = convert(arg);
+
+        return obj;
+      }, {});
+      const args = match.slice(1).map(convert);
+      const info = { name: route.name, path, params };
+
+      if (route.children) {
+        const length = offset + match[0].length;
+        const layout = { route, args, info, path: path.substr(0, length) };
+        const found = this.find_route(path, route.children, length, [...layouts, layout]);
+
+        if (found) {
+          return found;
+        }
+
+        if (length < path.length) {
+          continue;
+        }
+      }
+
+      return { route, args, info, layouts };
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Get all the routes including nested routes as a flat list.
+   * @param {Object} [routes] - Routes to list. The default is the top-level routes.
+   * @param {String} [prefix=''] - Pattern of the parent routes.
+   * @returns {Array.<Array>} Full patterns and route definitions.
+   */
+  get_route_list (routes = this.routes, prefix = '') {
+    return Object.entries(routes).reduce((list, [pattern, route]) => [
+      ...list,
+      [prefix + pattern, route],
+      ...(route.children ? this.get_route_list(route.children, prefix + pattern) : []),
+    ], []);
+  }
+
+  /**
+   * Run navigation guards in order until one of them stops the navigation.
+   * @param {Array.<Function>} guards - Guard functions.
+   * @param {...*} args - Arguments passed to the guards.
+   * @returns {Promise.<(Boolean|String|Object)>} `true` if the navigation can continue, `false` if it's cancelled, or
+   *  a redirect destination.
+   */
+  async run_guards (guards, ...args) {
+    for (const guard of guards) {
+      let result = await guard(...args);
+
+      if (result && typeof result === 'object' && 'confirm' in result) {
+        result = await this.confirm(result.confirm);
+      }
+
+      if (result !== undefined && result !== true) {
+        return result;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Cancel the current navigation by restoring the URL of the current route.
+   * @param {Object} [navigation] - Details of the navigation given by `navigate()`, if any.
+   */
+  revert (navigation) {
+    if (!this.current) {
+      return;
+    }
+
+    if (navigation && !navigation.replace) {
+      // Go back to the entry added by `navigate()`, without locating the route again
+      this.reverting = true;
+      this.history.go(-1);
+    } else {
+      const args = [this.current.state, document.title, this.current.path];
+
+      navigation ? this.history.replace(...args) : this.history.push(...args);
+    }
+
+    if (FlareTail.debug) {
+      console.info(`[Router] Navigation cancelled; staying at ${this.current.path}`);
+    }
+  }
+
+  /**
+   * Find a route usually by the URL. If found, run the navigation guards, then create a new instance of the
+   * corresponding view or reactivate an existing instance. If not found, the specified pathname is invalid, so navigate
+   * to the app's launch path instead.
+   * @param {String} [path] - URL used to find a route, consisting of the pathname and optional query string and hash
+   *  fragment. The default is the current URL given by the history backend.
+   * @returns {Promise.<Object>} A view instance if found and not cancelled by a guard. The view constructor or
+   *  `reactivate` method receives the positional arguments based on the pattern, followed by a route info Object
+   *  containing `name`, `path`, `params` (the named arguments based on the pattern), `query` (parsed query string
+   *  parameters; a repeated parameter becomes an Array) and `hash` (fragment without the leading `#`).
+   */
+  async locate (path = this.history.url) {
+    const [, pathname, search = '', hash = ''] = path.match(/^([^?#]*)(\?[^#]*)?(?:#(.*))?$/);
+    const navigation = this.navigation;
+    const count = ++this.navigation_count;
+    const query = Router.parse_query(search);
+    let found = this.find_route(pathname);
+
+    this.navigation = undefined;
+    this.save_scroll_position();
+
+    if (!found) {
+      if (FlareTail.debug) {
+        console.info(`[Router] A route for ${path} could not be found`);
+      }
+
+      this.events.trigger('Router#NotFound', { path });
+
+      if (!this.not_found) {
+        // Couldn't find a route; go to the launch path
+        this.navigate(this.launch_path);
+
+        return undefined;
+      }
+
+      found = {
+        route: this.not_found, args: [], info: { name: this.not_found.name, path: pathname, params: {} }, layouts: [],
+      };
+    }
+
+    const { route, info, layouts } = found;
+    const from = this.current ? this.current.info : undefined;
+    const current_layouts = this.current ? this.current.layouts : [];
+    let result = true;
+
+    try {
+      // Find existing instances, from the outermost layout to the leaf view
+      const levels = [...layouts, { ...found, path: pathname }].map(level => {
+        const [key, instance] = this.find_instance(level.route, level.path, query);
+
+        Object.assign(level.info, { query, hash });
+
+        return { ...level, key, instance };
+      });
+      const leaf = levels[levels.length - 1];
+      // Layouts shown for the current route are kept alive
+      const is_shown = level => current_layouts.some(({ instance }) => level.instance && level.instance === instance);
+      const entering = levels.slice(0, -1).filter(level => !is_shown(level));
+      const leaving = current_layouts.filter(({ instance }) => !levels.some(level => level.instance === instance));
+
+      if (this.current && this.current.instance !== leaf.instance) {
+        result = await this.run_guards([
+          ...this.guards.before_leave,
+          // Leave the leaf view first, then the layouts from the innermost one
+          ...[this.current, ...leaving.reverse()].reduce((guards, { route, instance }) => [
+            ...guards,
+            ...(route.before_leave ? [route.before_leave] : []),
+            ...(instance && instance.can_leave ? [(to, from) => instance.can_leave(to, from)] : []),
+          ], []),
+        ], info, from);
+      }
+
+      if (result === true) {
+        result = await this.run_guards([
+          ...this.guards.before_enter,
+          ...[...entering, leaf].filter(level => level.route.before_enter).map(level => level.route.before_enter),
+        ], info, from);
+      }
+
+      if (result === true) {
+        await Promise.all(levels.map(level => this.load_view(level.route)));
+      }
+
+      // Another navigation has been started while waiting for the guards or loader
+      if (count !== this.navigation_count) {
+        return undefined;
+      }
+
+      if (result === false) {
+        this.revert(navigation);
+
+        return undefined;
+      }
+
+      if (result !== true) {
+        if (FlareTail.debug) {
+          console.info(`[Router] Navigation to ${path} redirected`, result);
+        }
+
+        return this.navigate(result, {}, true);
+      }
+
+      levels.forEach(level => level.keep = is_shown(level) && level !== leaf);
+
+      // Restore the scroll position when going back or forward
+      return await this.enter(levels, path, from, !navigation);
+    } catch (error) {
+      if (FlareTail.debug) {
+        console.error(`[Router] Failed to locate ${path}`, error);
+      }
+
+      this.events.trigger('Router#Error', { path, name: error.name, message: error.message, stack: error.stack });
+
+      if (!this.error || route === this.error) {
+        throw error;
+      }
+
+      const [key, instance] = this.find_instance(this.error, pathname, query);
+      const error_info = { name: this.error.name, path: pathname, params: {}, query, hash, error };
+
+      return this.enter([{ route: this.error, key, instance, args: [], info: error_info }], path, from);
+    }
+  }
+
+  /**
+   * Get the view class of a route. If the route's `view` is a loader function, call it and cache the result. Concurrent
+   * calls share the same load. While loading, the `aria-busy` attribute is set on the root element, and the
+   * `Router#LoadStarted` and `Router#LoadCompleted` events are fired.
+   * @param {Object} route - Route definition.
+   * @returns {Promise.<Function>} The view class.
+   */
+  async load_view (route) {
+    const { view } = route;
+
+    // Classes have the prototype property while arrow and async functions don't
+    if (view.prototype) {
+      return view;
+    }
+
+    if (route.loaded_view) {
+      return route.loaded_view;
+    }
+
+    if (!route.loading) {
+      route.loading = (async () => {
+        this.loading_count++;
+        document.documentElement.setAttribute('aria-busy', 'true');
+        this.events.trigger('Router#LoadStarted', { name: route.name });
+
+        try {
+          const loaded = await view();
+
+          return route.loaded_view = typeof loaded.default === 'function' ? loaded.default : loaded;
+        } finally {
+          // Allow retrying if the loader has failed
+          route.loading = undefined;
+
+          if (!--this.loading_count) {
+            document.documentElement.removeAttribute('aria-busy');
+          }
+
+          this.events.trigger('Router#LoadCompleted', { name: route.name, loaded: !!route.loaded_view });
+        }
+      })();
+    }
+
+    return route.loading;
+  }
+
+  /**
+   * Find a cached view instance for the specified route and URL.
+   * @param {Object} route - Route definition.
+   * @param {String} pathname - URL pathname.
+   * @param {Object} query - Parsed query parameters.
+   * @returns {Array} Instance key and the cached instance, which is `undefined` if not found.
+   */
+  find_instance (route, pathname, query) {
+    let key = this.get_instance_key(route, pathname, query);
+
+    if (!route.map) {
+      route.map = new Map();
+    }
+
+    if (route.catch_all && route.map.size) {
+      // Reuse the only instance
+      [key] = route.map.keys();
+    }
+
+    return [key, route.map.get(key)];
+  }
+
+  /**
+   * Create a new view instance or reactivate the cached instance.
+   * @param {Object} level - Route details containing `route`, `key` (instance key), `instance` (cached instance, if
+   *  any), `args` (positional arguments based on the pattern) and `info` (route info Object).
+   * @param {String} path - URL being located.
+   * @returns {Promise.<Object>} The view instance.
+   */
+  async activate ({ route, key, instance, args, info }, path) {
+    const view = await this.load_view(route);
+
+    if (instance) {
+      if (FlareTail.debug) {
+        console.info(`[Router] Reactivating to an existing ${view.name} instance for ${path}`);
+      }
+
+      if (instance.reactivate) {
+        instance.reactivate(...args, info);
+      }
+    } else {
+      if (FlareTail.debug) {
+        console.info(`[Router] Creating a new ${view.name} instance for ${path}`);
+      }
+
+      // Call the constructor when a route is found
+      // Pass arguments based on the RegExp pattern, taking numeric arguments into account
+      instance = new view(...args, info);
+    }
+
+    // Move the instance to the end of the map, so the least recently used one comes first
+    route.map.delete(key);
+    route.map.set(key, instance);
+    this.activated.set(instance, Date.now());
+
+    return instance;
+  }
+
+  /**
+   * Activate the layouts and the leaf view of a route in order, then make them current. Each view receives the parent
+   * layout instance as the `layout` property of the route info Object.
+   * @param {Array.<Object>} levels - Route details, from the outermost layout to the leaf view. A layout with the
+   *  `keep` property is already shown and won't be reactivated.
+   * @param {String} path - URL being located.
+   * @param {Object} [from] - Route info Object of the previous route.
+   * @param {Boolean} [restore_scroll=false] - Whether the saved scroll position should be restored.
+   * @returns {Promise.<Object>} The leaf view instance.
+   */
+  async enter (levels, path, from, restore_scroll = false) {
+    let layout;
+
+    for (const level of levels) {
+      level.info.layout = layout;
+      layout = level.instance = level.keep ? level.instance : await this.activate(level, path);
+    }
+
+    // Find the title from the innermost level
+    let title = levels.map(({ route, instance }) => route.title !== undefined ? route.title : instance.title)
+                      .filter(title => title !== undefined).pop();
+    const { route, info, instance } = levels.pop();
+
+    if (typeof title === 'function') {
+      title = title(info.params, info);
+    }
+
+    if (title !== undefined) {
+      document.title = title;
+    }
+
+    // Give each history entry a unique key, so the scroll position can be saved
+    if (!this.history.state || !this.history.state.key) {
+      this.history.replace({ ...this.history.state, key: FlareTail.util.Misc.hash(7) }, document.title);
+    }
+
+    this.current = { path, state: this.history.state, route, info, instance, layouts: levels };
+    this.prune();
+
+    if (restore_scroll) {
+      this.restore_scroll_position();
+    }
+
+    for (const guard of [...this.guards.after_enter, ...(route.after_enter ? [route.after_enter] : [])]) {
+      await guard(info, from, instance);
+    }
+
+    return instance;
+  }
+
+  /**
+   * Get the main scrollable region of the current view.
+   * @returns {HTMLElement} The element, or `undefined` if not defined or found.
+   */
+  get_scroll_region () {
+    const { route, instance } = this.current || {};
+    const region = route && route.scroll_region !== undefined ? route.scroll_region : this.scroll_region;
+
+    if (typeof region === 'function') {
+      return region(instance);
+    }
+
+    return region ? document.querySelector(region) || undefined : undefined;
+  }
+
+  /**
+   * Save the scroll position of the current view's main scrollable region for the current history entry.
+   */
+  save_scroll_position () {
+    const $region = this.current ? this.get_scroll_region() : undefined;
+
+    if ($region && this.current.state && this.current.state.key) {
+      const { key } = this.current.state;
+
+      // Move the entry to the end, then forget the oldest ones exceeding the limit
+      this.scroll_positions.delete(key);
+      this.scroll_positions.set(key, { top: $region.scrollTop, left: $region.scrollLeft });
+
+      for (const _key of [...this.scroll_positions.keys()].slice(0, -this.max_scroll_positions)) {
+        this.scroll_positions.delete(_key);
+      }
+    }
+  }
+
+  /**
+   * Restore the saved scroll position of the current view's main scrollable region for the current history entry.
+   */
+  restore_scroll_position () {
+    const $region = this.get_scroll_region();
+    const position = this.scroll_positions.get(this.current.state.key);
+
+    if ($region && position) {
+      // The scroll event will be fired, so the ScrollBar widget can update the controller
+      $region.scrollTop = position.top;
+      $region.scrollLeft = position.left;
+    }
+  }
+
+  /**
+   * Get a key to find a cached view instance in the route's map.
+   * @param {Object} route - Route definition.
+   * @param {String} pathname - URL pathname.
+   * @param {Object} query - Parsed query parameters.
+   * @returns {String} Instance key, the pathname and optional query string.
+   */
+  get_instance_key ({ query_instances }, pathname, query) {
+    if (!query_instances) {
+      return pathname;
+    }
+
+    // Distinguish instances by the (selected) query parameters
+    const names = Object.keys(query).filter(name => query_instances === true || query_instances.includes(name));
+
+    return pathname + Router.build_query(Object.assign({}, ...names.sort().map(name => ({ [name]: query[name] }))));
+  }
+
+  /**
+   * Check if a view instance is currently shown, either as the leaf view or one of the layouts.
+   * @param {Object} instance - View instance.
+   * @returns {Boolean} Whether the instance is shown.
+   */
+  is_current (instance) {
+    return !!this.current && [this.current, ...this.current.layouts].some(level => level.instance === instance);
+  }
+
+  /**
+   * Remove a cached view instance from the route's map, and call its `destroy` method.
+   * @param {Object} route - Route definition.
+   * @param {String} key - Instance key.
+   */
+  destroy_instance (route, key) {
+    const instance = route.map.get(key);
+
+    route.map.delete(key);
+
+    if (this.is_current(instance)) {
+      this.current = undefined;
+    }
+
+    if (FlareTail.debug) {
+      console.info(`[Router] Evicting a ${instance.constructor.name} instance for ${key}`);
+    }
+
+    if (typeof instance.destroy === 'function') {
+      instance.destroy();
+    }
+
+    if (FlareTail.debug && instance.subscriptions && instance.subscriptions.size) {
+      console.warn(`[Router] A ${instance.constructor.name} instance has been destroyed without being disposed. \
+                    Call dispose() in the destroy method to remove the event subscriptions.`);
+    }
+  }
+
+  /**
+   * Evict view instances exceeding the limits defined by the routes' `max_instances` and `max_idle` options. The
+   * current view and its layouts will never be evicted. This is called on every navigation, and also scheduled when
+   * an instance will become idle, so instances are evicted even if the user stays on the same view.
+   */
+  prune () {
+    const now = Date.now();
+    let next = Infinity;
+
+    window.clearTimeout(this.prune_timer);
+
+    for (const [, route] of this.get_route_list()) if (route.map) {
+      const { max_instances = Infinity, max_idle = Infinity } = route;
+
+      // The map is sorted by activation time, oldest first
+      for (const [key, instance] of [...route.map]) {
+        if (this.is_current(instance)) {
+          continue;
+        }
+
+        const expires = this.activated.get(instance) + max_idle;
+
+        if (route.map.size > max_instances || now > expires) {
+          this.destroy_instance(route, key);
+        } else {
+          next = Math.min(next, expires);
+        }
+      }
+    }
+
+    if (next < Infinity) {
+      this.prune_timer = window.setTimeout(() => this.prune(), next - now + 1);
+    }
+  }
+
+  /**
+   * Evict a cached view instance, so a new instance will be created next time the path is located.
+   * @param {String} path - URL pathname as passed to `locate()`, optionally with a query string. On a `catch_all`
+   *  route, the shared instance will be evicted.
+   * @returns {Boolean} Whether an instance has been evicted.
+   */
+  evict (path) {
+    const [, pathname, search = ''] = path.match(/^([^?#]*)(\?[^#]*)?/);
+    const found = this.find_route(pathname);
+
+    if (!found || !found.route.map || !found.route.map.size) {
+      return false;
+    }
+
+    const { route } = found;
+    const query = Router.parse_query(search);
+    const [key] = route.catch_all ? route.map.keys() : [this.get_instance_key(route, pathname, query)];
+
+    if (!route.map.has(key)) {
+      return false;
+    }
+
+    this.destroy_instance(route, key);
+
+    return true;
+  }
+
+  /**
+   * Evict all the cached view instances, including the current view.
+   */
+  clear () {
+    window.clearTimeout(this.prune_timer);
+
+    for (const [, route] of [...this.get_route_list(), [, this.not_found], [, this.error]]) if (route && route.map) {
+      for (const key of [...route.map.keys()]) {
+        this.destroy_instance(route, key);
+      }
+    }
+  }
+
+  /**
+   * Build a URL pathname from a named route, so callers don't have to hard-code paths.
+   * @param {String} name - Name of the route.
+   * @param {(Object|Array)} [params={}] - Route arguments. Named capture groups in the pattern are filled with the
+   *  values of the same keys, other groups are filled by their index.
+   * @returns {String} URL pathname without the app's root, which can be passed to `navigate()`.
+   * @throws {Error} When the route is not found, a required parameter is missing or a value doesn't match the pattern.
+   */
+  url_for (name, params = {}) {
+    const [pattern] = this.get_route_list().find(([pattern, route]) => route.name === name) || [];
+
+    if (!pattern) {
+      throw new Error(`[Router] A route named ${name} could not be found`);
+    }
+
+    const path = Router.parse_pattern(pattern).map(token => {
+      if (typeof token === 'string') {
+        // Unescape literal characters
+        return token.replace(/\\(\W)/g, '$1');
+      }
+
+      const param = token.name || token.index;
+      const value = token.name && token.name in params ? params[token.name] : params[token.index];
+
+      if (value === undefined || value === null) {
+        throw new Error(`[Router] The ${param} parameter is missing for the ${name} route`);
+      }
+
+      const encoded = encodeURIComponent(String(value));
+
+      if (!(new RegExp(`^(?:${token.source})$`)).test(encoded)) {
+        throw new Error(`[Router] The ${param} parameter “${value}” doesn’t match the ${name} route`);
+      }
+
+      return encoded;
+    }).join('');
+
+    // Make sure the built path can be located again
+    if (!(new RegExp(`^${pattern}$`)).test(path)) {
+      throw new Error(`[Router] The ${name} route cannot be reversed with the given parameters`);
+    }
+
+    return path;
+  }
+
+  /**
+   * Split a route pattern into literal parts and top-level capture groups.
+   * @static
+   * @param {String} pattern - Route pattern.
+   * @returns {Array.<(String|Object)>} Tokens. A capture group is an Object containing `name` (String, if named),
+   *  `index` (Number, the group's position in the match result) and `source` (String, the group's sub-pattern).
+   */
+  static parse_pattern (pattern) {
+    const tokens = [];
+    let literal = '';
+    let group = undefined;
+    let depth = 0;
+    let index = 0;
+    let in_class = false;
+
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      let consumed = char;
+
+      if (char === '\\') {
+        consumed += pattern[++i];
+      } else if (in_class) {
+        in_class = char !== ']';
+      } else if (char === '[') {
+        in_class = true;
+      } else if (char === '(') {
+        const named = pattern.substr(i).match(/^\(\?<([A-Za-z_$][\w$]*)>/);
+        const capturing = named || pattern[i + 1] !== '?';
+
+        if (depth === 0 && capturing) {
+          tokens.push(literal);
+          literal = '';
+          group = { name: named ? named[1] : undefined, index, source: '' };
+          i += named ? named[0].length - 1 : 0;
+          index++;
+          depth++;
+          continue;
+        }
+
+        index += capturing ? 1 : 0;
+        depth++;
+      } else if (char === ')') {
+        depth--;
+
+        if (depth === 0 && group) {
+          tokens.push(group);
+          group = undefined;
+          continue;
+        }
+      }
+
+      group ? group.source += consumed : literal += consumed;
+    }
+
+    tokens.push(literal);
+
+    return tokens.filter(token => token !== '');
+  }
+
+  /**
+   * Build a query string from an Object.
+   * @static
+   * @param {Object} [query={}] - Query parameters. An Array value will be serialized as a repeated parameter, while
+   *  `undefined` and `null` values will be omitted.
+   * @returns {String} Query string starting with `?`, or an empty string if there are no parameters.
+   */
+  static build_query (query = {}) {
+    const params = new URLSearchParams();
+
+    for (const [name, value] of Object.entries(query)) {
+      for (const _value of Array.isArray(value) ? value : [value]) if (_value !== undefined && _value !== null) {
+        params.append(name, _value);
+      }
+    }
+
+    const str = params.toString();
+
+    return str ? `?${str}` : '';
+  }
+
+  /**
+   * Parse a query string into an Object.
+   * @static
+   * @param {String} search - Query string with or without the leading `?`.
+   * @returns {Object} Query parameters. A repeated parameter becomes an Array.
+   */
+  static parse_query (search) {
+    const query = {};
+
+    for (const [name, value] of new URLSearchParams(search)) {
+      query[name] = name in query ? [].concat(query[name], value) : value;
+    }
+
+    return query;
+  }
+
+  /**
+   * Navigate to the specified URL pathname by manipulating the history.
+   * @param {(String|Object)} path - URL pathname to go, optionally with a query string and hash fragment, or an
+   *  Object containing `path` or a route `name` and `params` which will be converted to a pathname with `url_for()`,
+   *  as well as optional `query` (Object) and `hash` (String) that will be serialized and appended.
+   * @param {Object} [state={}] - History state object.
+   * @param {Boolean} [replace=false] - If `true`, the current history state will be replaced, otherwise appended.
+   * @returns {Promise.<Object>} A view instance returned by `locate()`.
+   */
+  navigate (path, state = {}, replace = false) {
+    if (typeof path === 'object') {
+      const { name, params, query, hash } = path;
+
+      path = (name ? this.url_for(name, params) : path.path) + Router.build_query(query) + (hash ? `#${hash}` : '');
+    }
+
+    const { state: current_state, url: current_url } = this.history;
+
+    state.previous = replace && current_state && current_state.previous ? current_state.previous
+                                                                        : current_url.match(/^[^?#]*/)[0];
+
+    const args = [state, 'Loading...', this.root + path]; // l10n
+
+    replace ? this.history.replace(...args) : this.history.push(...args);
+    // Let `locate()` know the navigation details, so the history can be reverted if a guard cancels it
+    this.navigation = { replace };
+    this.history.notify();
+
+    if (FlareTail.debug) {
+      console.info(replace ? 'History replaced:' : 'History added:', path, state);
+    }
+
+    return this.pending;
+  }
+}
+
+/**
+ * Provide the browser history backend for the app router, using the URL pathname. This is the default backend.
+ */
+FlareTail.app.Router.BrowserHistory = class BrowserHistory {
+  /**
+   * Get the current URL, consisting of the pathname, query string and hash fragment.
+   * @member {String}
+   */
+  get url () {
+    return location.pathname + location.search + location.hash;
+  }
+
+  /**
+   * Get the state object of the current history entry.
+   * @member {Object}
+   */
+  get state () {
+    return history.state;
+  }
+
+  /**
+   * Add a new history entry.
+   * @param {Object} state - History state object.
+   * @param {String} title - Entry title.
+   * @param {String} url - URL of the entry.
+   */
+  push (state, title, url) {
+    history.pushState(state, title, url);
+  }
+
+  /**
+   * Replace the current history entry.
+   * @param {Object} state - History state object.
+   * @param {String} title - Entry title.
+   * @param {String} [url] - URL of the entry. If omitted, the current URL will be kept.
+   */
+  replace (state, title, url = undefined) {
+    history.replaceState(state, title, url);
+  }
+
+  /**
+   * Move through the history. The listeners will be called asynchronously.
+   * @param {Number} delta - Relative position, like `-1` for back and `1` for forward.
+   */
+  go (delta) {
+    history.go(delta);
+  }
+
+  /**
+   * Register a function called whenever the current history entry is changed.
+   * @param {Function} callback - Listener function.
+   * @returns {Function} Function to remove the listener.
+   */
+  listen (callback) {
+    const listener = event => callback();
+
+    window.addEventListener('popstate', listener);
+
+    return () => window.removeEventListener('popstate', listener);
+  }
+
+  /**
+   * Let the listeners know that the current history entry has been changed by `push` or `replace`. A `popstate` event
+   * is fired, so the app's own event listeners can also handle it.
+   */
+  notify () {
+    window.dispatchEvent(new PopStateEvent('popstate'));
+  }
+}
+
+/**
+ * Provide the hash-based history backend for the app router, which keeps the app's URL in the hash fragment like
+ * `#/bug/123456`. This is useful when the server cannot serve the app on every path.
+ * @extends FlareTail.app.Router.BrowserHistory
+ */
+FlareTail.app.Router.HashHistory = class HashHistory extends FlareTail.app.Router.BrowserHistory {
+  /**
+   * Get the current URL stored in the hash fragment.
+   * @member {String}
+   */
+  get url () {
+    return location.hash.substr(1) || '/';
+  }
+
+  /**
+   * Add a new history entry.
+   * @param {Object} state - History state object.
+   * @param {String} title - Entry title.
+   * @param {String} url - URL of the entry.
+   */
+  push (state, title, url) {
+    history.pushState(state, title, `#${url}`);
+  }
+
+  /**
+   * Replace the current history entry.
+   * @param {Object} state - History state object.
+   * @param {String} title - Entry title.
+   * @param {String} [url] - URL of the entry. If omitted, the current URL will be kept.
+   */
+  replace (state, title, url = undefined) {
+    history.replaceState(state, title, url === undefined ? undefined : `#${url}`);
+  }
+}
+
+/**
+ * Provide the in-memory history backend for the app router, which has its own back and forward stack and doesn't
+ * touch the browser URL. This is useful for testing or embedding an app in a panel.
+ * @example
+ *  ```js
+ *  const router = new FlareTail.app.Router({ root: '/', history: new FlareTail.app.Router.MemoryHistory('/home') }, {
+ *    '/home': { view: HomeView },
+ *    '/bug/(?<id>\\d+)': { view: BugView },
+ *  });
+ *
+ *  await router.locate();
+ *  await router.navigate('/bug/123456');
+ *  router.history.go(-1);
+ *  ```
+ */
+FlareTail.app.Router.MemoryHistory = class MemoryHistory {
+  /**
+   * Get a MemoryHistory instance.
+   * @param {String} [url='/'] - Initial URL.
+   * @returns {MemoryHistory}
+   */
+  constructor (url = '/') {
+    this.entries = [{ state: null, title: '', url }];
+    this.index = 0;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Get the current URL.
+   * @member {String}
+   */
+  get url () {
+    return this.entries[this.index].url;
+  }
+
+  /**
+   * Get the state object of the current history entry.
+   * @member {Object}
+   */
+  get state () {
+    return this.entries[this.index].state;
+  }
+
+  /**
+   * Add a new history entry, and remove the forward entries.
+   * @param {Object} state - History state object.
+   * @param {String} title - Entry title.
+   * @param {String} url - URL of the entry.
+   */
+  push (state, title, url) {
+    this.entries.splice(++this.index, Infinity, { state, title, url });
+  }
+
+  /**
+   * Replace the current history entry.
+   * @param {Object} state - History state object.
+   * @param {String} title - Entry title.
+   * @param {String} [url] - URL of the entry. If omitted, the current URL will be kept.
+   */
+  replace (state, title, url = this.url) {
+    this.entries[this.index] = { state, title, url };
+  }
+
+  /**
+   * Move through the history. The listeners will be called asynchronously, like the browser history. If the new
+   * position is out of range, nothing happens.
+   * @param {Number} delta - Relative position, like `-1` for back and `1` for forward.
+   */
+  go (delta) {
+    const index = this.index + delta;
+
+    if (delta && index >= 0 && index < this.entries.length) {
+      this.index = index;
+      Promise.resolve().then(() => this.notify());
+    }
+  }
+
+  /**
+   * Register a function called whenever the current history entry is changed.
+   * @param {Function} callback - Listener function.
+   * @returns {Function} Function to remove the listener.
+   */
+  listen (callback) {
+    this.listeners.add(callback);
+
+    return () => this.listeners.delete(callback);
+  }
+
+  /**
+   * Let the listeners know that the current history entry has been changed.
+   */
+  notify () {
+    for (const callback of this.listeners) {
+      callback();
+    }
+  }
+}
+
+/**
+ * Provide app event functionalities. This is the base class of other app framework classes.
+ */
+FlareTail.app.Event = class _Event {
+  /**
+   * Activate an instance. This should be called by all the derived classes using `super()`.
+   * @param {String} [id] - Unique instance identifier. If omitted, a random 7-character hash will be assigned. A View
+   *  and the corresponding Presenter as well as its sub-Views/Presenters should share the same `id`, otherwise their
+   *  communication through events won't work.
+   * @returns {Events} New Events instance.
+   */
+  constructor (id) {
+    this.id = id || FlareTail.util.Misc.hash(7, true);
+    // Active subscriptions, so they can be removed later
+    this.subscriptions = new Set();
+
+    // Track the live instances in debug mode, so undisposed ones can be found with `report_undisposed`
+    if (FlareTail.debug && 'WeakRef' in window && 'FinalizationRegistry' in window) {
+      const { instances } = FlareTail.app.Event;
+      const ref = new WeakRef(this);
+
+      FlareTail.app.Event.finalizer = FlareTail.app.Event.finalizer
+                                   || new FinalizationRegistry(_ref => instances.delete(_ref));
+      instances.add(ref);
+      FlareTail.app.Event.finalizer.register(this, ref);
+    }
+  }
+
+  /**
+   * Find the live instances that still have subscriptions, and log them to the console. An instance keeps receiving
+   * events and cannot be garbage-collected until `dispose` is called, so a growing number of instances of the same
+   * class usually means a leak. Only the instances created in debug mode are tracked.
+   * @static
+   * @returns {Array.<Object>} List of the instances' `class_name`, `id` and subscribed `topics`.
+   */
+  static report_undisposed () {
+    const found = [];
+
+    for (const ref of FlareTail.app.Event.instances) {
+      const instance = ref.deref();
+
+      if (instance && instance.subscriptions.size) {
+        const topics = [...new Set([...instance.subscriptions].map(({ topic }) => topic))];
+
+        found.push({ class_name: instance.constructor.name, id: instance.id, topics });
+      }
+    }
+
+    if (found.length) {
+      console.warn(`[Event] ${found.length} instance(s) have not been disposed`, found);
+    }
+
+    return found;
+  }
+
+  /**
+   * Declare event topics and their payload schemas. In debug mode, the data passed to `trigger` will be validated
+   * against the schema, and `subscribe` will warn if the class has no handler for a declared topic.
+   * @static
+   * @param {Object} catalog - The key is a topic, value is a schema Object. The schema's key is a field name, value is
+   *  an Object containing `type` (String or Array of `string`, `number`, `boolean`, `object`, `array` or `null`,
+   *  optional), `required` (Boolean, optional) and `enum` (Array of allowed values, optional).
+   * @example
+   *  ```js
+   *  FlareTail.app.Event.define({
+   *    'BugModel#Updated': { bug_id: { type: 'number', required: true }, changes: { type: 'object' } },
+   *    'SessionPresenter#StatusUpdate': { status: { enum: ['loading', 'ready'], required: true } },
+   *  });
+   *  ```
+   */
+  static define (catalog) {
+    for (const [topic, schema] of Object.entries(catalog)) {
+      FlareTail.app.Event.catalog.set(topic, schema);
+    }
+  }
+
+  /**
+   * Validate event data against the schema declared with `define`.
+   * @static
+   * @param {String} topic - Full event name.
+   * @param {Object} data - Data to be published.
+   * @returns {Array.<String>} Error messages. Empty if the data is valid or the topic is not declared.
+   */
+  static validate (topic, data) {
+    const schema = FlareTail.app.Event.catalog.get(topic);
+    const errors = [];
+
+    for (const [name, { type, required = false, enum: values }] of Object.entries(schema || {})) {
+      const value = data[name];
+      const actual = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+      if (value === undefined) {
+        if (required) {
+          errors.push(`${name} is required`);
+        }
+
+        continue;
+      }
+
+      if (type && ![].concat(type).includes(actual)) {
+        errors.push(`${name} should be ${[].concat(type).join(' or ')} but ${actual} is given`);
+      }
+
+      if (values && !values.includes(value)) {
+        errors.push(`${name} should be one of ${values.join(', ')} but ${value} is given`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Find a value that cannot be cloned with the structured clone algorithm, and therefore cannot be published.
+   * @static
+   * @param {*} value - Value to be checked.
+   * @param {String} [path='data'] - Path to the value, used for the result.
+   * @returns {String} Path to the first non-cloneable value, like `data.params`, or `undefined` if cloneable.
+   */
+  static find_uncloneable (value, path = 'data') {
+    try {
+      structuredClone(value);
+
+      return undefined;
+    } catch (ex) {}
+
+    if (value && typeof value === 'object') {
+      for (const [key, child] of Object.entries(value)) {
+        const found = FlareTail.app.Event.find_uncloneable(child, `${path}.${key}`);
+
+        if (found) {
+          return found;
+        }
+      }
+    }
+
+    return path;
+  }
+
+  /**
+   * Publish an event asynchronously.
+   * @param {String} topic - An event name. Shorthand syntax is supported: `#Updated` in `BugModel` means
+   *  `BugModel#Updated`, `#Error` in `SessionPresenter` means `SessionPresenter#Error`, and so on.
+   * @param {Object} [data={}] - Data to pass the subscribers. If the instance has set the id property, that id will be
+   *  automatically appended to the data. Note that the data will be cloned. `Proxy` will be automatically deproxified
+   *  before being posted but complex objects like `Error` or `URLSearchParams` cannot be transferred and throw. See the
+   *  following MDN document for details.
+   * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/Web_Workers_API/Structured_clone_algorithm MDN}
+   * @param {Object} [options]
+   * @param {Boolean} [options.sticky=false] - If `true`, the last data for the topic and the instance's `id` will be
+   *  kept, and delivered right away to subscribers added later, including ones in other tabs or workers.
+   */
+  trigger (topic, data = {}, { sticky = false } = {}) {
+    topic = topic.match(/^#/) ? this.constructor.name + topic : topic;
+    data = { ...data };
+
+    if (FlareTail.debug) {
+      const errors = FlareTail.app.Event.validate(topic, data);
+      const uncloneable = FlareTail.app.Event.find_uncloneable(data);
+
+      if (errors.length) {
+        throw new TypeError(`[Event] The data for ${topic} is invalid: ${errors.join('; ')}`);
+      }
+
+      if (uncloneable) {
+        throw new TypeError(`[Event] The data for ${topic} cannot be cloned: ${uncloneable} is not a plain value. \
+                             Convert it to a String, Object or Array before publishing.`);
+      }
+    }
+
+    const message = { id: this.id, data };
+
+    if (sticky) {
+      message.sticky = Date.now();
+    }
+
+    if (sticky || FlareTail.debug) {
+      // Identify the message, so a sticky message is not delivered twice and the inspector can find its receivers
+      message.uid = FlareTail.util.Misc.hash(16);
+    }
+
+    FlareTail.app.Event.channels.post(topic, message);
+
+    if (FlareTail.debug) {
+      console.info('[Event]', topic, this.id, data);
+    }
+  }
+
+  /**
+   * Subscribe an event.
+   * @param {String} topic - Event name. Shorthand syntax is supported: `M#Updated` in `BugView` means
+   *  `BugModel#Updated`, `V#AppMenuItemSelected` in `ToolbarPresenter` means `ToolbarView#AppMenuItemSelected`, and so
+   *  on. Wildcards are also supported: `BugModel#*` matches all the `BugModel` events, `*#Error` matches the `Error`
+   *  event of any class, and `M#*` in `BugView` means `BugModel#*`.
+   * @param {Function} callback - Function called whenever the specified event is fired, with the data and the topic.
+   * @param {Boolean} [global=false] - If `true`, the callback function will be fired even when the event detail object
+   *  and the instance have different `id` properties. Otherwise, the identity will be respected.
+   * @returns {Function} Function to unsubscribe the event.
+   */
+  on (topic, callback, global = false) {
+    topic = this.resolve_topic(topic);
+
+    const channels = FlareTail.app.Event.channels;
+    const wildcard = topic.includes('*');
+    const pattern = this.get_topic_pattern(topic);
+    // Last sticky message delivered for each topic and sender, because a message published around the subscription
+    // can be received both directly and as a replay
+    const delivered = new Map();
+    const handler = (_topic, message) => {
+      // Skip other topics and instances, as well as requests made with `request`, which are only handled by `respond`
+      if (message.request || !pattern.test(_topic) || !global && message.id !== this.id) {
+        return;
+      }
+
+      if (message.sticky) {
+        const key = `${_topic}\n${message.id}`;
+        const last = delivered.get(key);
+
+        // Skip the same message as well as an older one replayed after a newer one
+        if (last && (last.uid === message.uid || last.sticky > message.sticky)) {
+          return;
+        }
+
+        delivered.set(key, { uid: message.uid, sticky: message.sticky });
+      }
+
+      if (FlareTail.app.Event.inspector) {
+        FlareTail.app.Event.inspector.add_receiver(_topic, message, this);
+      }
+
+      try {
+        // The receiving channel is shared by the subscribers in this context, so give each of them its own copy
+        const result = callback(structuredClone(message.data), _topic);
+
+        // Catch async errors as well
+        if (result && typeof result.catch === 'function') {
+          result.catch(error => this.handle_subscriber_error(error, _topic));
+        }
+      } catch (error) {
+        this.handle_subscriber_error(error, _topic);
+      }
+    };
+    // Wildcard messages contain the original topic and message
+    const remove = channels.listen(wildcard ? channels.wildcard_topic : topic, ({ data }) => {
+      wildcard ? handler(data.topic, data.message) : handler(topic, data);
+    });
+    const subscription = { topic, callback, remove };
+    // Deliver sticky messages asynchronously unless unsubscribed in the meantime, like normal messages
+    const replay = (_topic, message) => window.setTimeout(() => {
+      if (this.subscriptions.has(subscription)) {
+        handler(_topic, message);
+      }
+    });
+
+    this.subscriptions.add(subscription);
+
+    for (const { topic: _topic, message } of channels.get_sticky(pattern)) {
+      replay(_topic, message);
+    }
+
+    channels.query_sticky(pattern, replay);
+
+    return () => this.unsubscribe(subscription);
+  }
+
+  /**
+   * Unsubscribe an event.
+   * @param {String} topic - Event name. Shorthand syntax is supported. See the `on` function above for details.
+   * @param {Function} [callback] - Function passed to `on`. If omitted, all the subscriptions to the topic, including
+   *  ones made with `subscribe`, will be removed.
+   */
+  off (topic, callback = undefined) {
+    topic = this.resolve_topic(topic);
+
+    for (const subscription of this.subscriptions) {
+      if (subscription.topic === topic && (!callback || subscription.callback === callback)) {
+        this.unsubscribe(subscription);
+      }
+    }
+  }
+
+  /**
+   * Discard the sticky data published by the instance.
+   * @param {String} [topic] - Event name. Shorthand syntax is supported. If omitted, the data of all the topics will be
+   *  discarded.
+   */
+  clear_sticky (topic = undefined) {
+    FlareTail.app.Event.channels.clear_sticky(topic ? this.resolve_topic(topic) : undefined, this.id);
+  }
+
+  /**
+   * Wait for an event to be fired once.
+   * @param {String} topic - Event name. Shorthand syntax is supported. See the `on` function above for details.
+   * @param {Boolean} [global=false] - See the `on` function above for details.
+   * @returns {Promise.<Object>} Data passed to the subscribers.
+   */
+  async once (topic, global = false) {
+    return new Promise(resolve => {
+      const unsubscribe = this.on(topic, data => {
+        unsubscribe();
+        resolve(data);
+      }, global);
+    });
+  }
+
+  /**
+   * Publish a request and wait for a reply from a responder registered with `respond`. This works across tabs and
+   * workers as well, since the messages are delivered through `BroadcastChannel`. Subscribers registered with `on`
+   * don't receive requests.
+   * @param {String} topic - Event name. Shorthand syntax is supported: `#GetData` means the instance's own event, and
+   *  `M#GetData` in `BugPresenter` means `BugModel#GetData`, and so on.
+   * @param {Object} [data={}] - Data to pass the responder. Note that the data will be cloned.
+   * @param {Object} [options]
+   * @param {Number} [options.timeout=10000] - Milliseconds to wait for a reply.
+   * @returns {Promise.<*>} Data returned by the responder. If the responder throws, the promise will be rejected with
+   *  an `Error` containing the same `name`, `message` and `stack`.
+   */
+  async request (topic, data = {}, { timeout = 10000 } = {}) {
+    topic = this.resolve_topic(topic);
+
+    const channels = FlareTail.app.Event.channels;
+    const request = FlareTail.util.Misc.hash(16);
+
+    return new Promise((resolve, reject) => {
+      const remove = channels.listen('FlareTail#Reply', event => {
+        if (event.data.request !== request) {
+          return;
+        }
+
+        const { data, error } = event.data;
+
+        finish();
+
+        if (error) {
+          reject(Object.assign(new Error(error.message), error));
+        } else {
+          resolve(data);
+        }
+      });
+      const timer = window.setTimeout(() => {
+        finish();
+        reject(new Error(`The request to ${topic} has timed out`));
+      }, timeout);
+      const finish = () => {
+        remove();
+        window.clearTimeout(timer);
+      };
+
+      channels.post(topic, { id: this.id, data: { ...data }, request });
+
+      if (FlareTail.debug) {
+        console.info('[Event] Request:', topic, this.id, data);
+      }
+    });
+  }
+
+  /**
+   * Register a function that replies to requests made with `request`. If multiple responders are registered for the
+   * same topic, the first reply will be used.
+   * @param {String} topic - Event name. Shorthand syntax is supported. See the `on` function above for details.
+   * @param {Function} handler - Function called with the request data. The return value, or the resolved value if it's
+   *  a `Promise`, will be sent back to the requester. If the function throws, the error will be sent back instead.
+   * @param {Boolean} [global=false] - If `true`, requests from instances with a different `id` will be handled as well.
+   * @returns {Function} Function to unregister the responder.
+   */
+  respond (topic, handler, global = false) {
+    topic = this.resolve_topic(topic);
+
+    const channels = FlareTail.app.Event.channels;
+    // Errors cannot be cloned, so send the properties only
+    const serialize = error => error instanceof Error ? { name: error.name, message: error.message, stack: error.stack }
+                                                      : { name: 'Error', message: String(error) };
+    const remove = channels.listen(topic, async event => {
+      const { id, data, request } = event.data;
+
+      if (!request || !global && id !== this.id) {
+        return;
+      }
+
+      try {
+        channels.post('FlareTail#Reply', { request, data: await handler(data) });
+      } catch (error) {
+        // The handler has thrown, or the result cannot be cloned
+        channels.post('FlareTail#Reply', { request, error: serialize(error) });
+      }
+    });
+    const subscription = { topic, callback: handler, remove };
+
+    this.subscriptions.add(subscription);
+
+    return () => this.unsubscribe(subscription);
+  }
+
+  /**
+   * Remove all the subscriptions made by the instance. This should be called when the instance is no longer used,
+   * otherwise it keeps receiving events and cannot be garbage-collected.
+   */
+  dispose () {
+    for (const subscription of this.subscriptions) {
+      this.unsubscribe(subscription);
+    }
+  }
+
+  /**
+   * Remove a subscription. The shared channel will be closed if there are no other subscribers.
+   * @param {Object} subscription - Subscription created by `on`.
+   */
+  unsubscribe (subscription) {
+    if (this.subscriptions.delete(subscription)) {
+      subscription.remove();
+    }
+  }
+
+  /**
+   * Handle an error thrown by a subscriber callback, so it doesn't escape silently inside the message handler. The
+   * error details are published as the `FlareTail#SubscriberError` event, which can be subscribed globally to show an
+   * error UI, then the error is logged, rethrown or ignored according to `FlareTail.app.Event.error_policy`.
+   * @param {*} error - Thrown error.
+   * @param {String} topic - Event name being handled.
+   */
+  handle_subscriber_error (error, topic) {
+    const policy = FlareTail.app.Event.error_policy;
+
+    // Avoid an infinite loop if the error handler itself throws
+    if (topic !== 'FlareTail#SubscriberError') {
+      FlareTail.app.Event.channels.post('FlareTail#SubscriberError', { id: this.id, data: {
+        topic,
+        id: this.id,
+        class_name: this.constructor.name,
+        name: error instanceof Error ? error.name : 'Error',
+        message: error instanceof Error ? error.message : String(error),
+        stack: error instanceof Error ? error.stack : undefined,
+      } });
+    }
+
+    if (policy === 'log') {
+      console.error(`[Event] ${this.constructor.name} failed to handle ${topic}`, error);
+    }
+
+    if (policy === 'rethrow') {
+      throw error;
+    }
+  }
+
+  /**
+   * Get a regular expression matching a topic that may contain wildcards.
+   * @param {String} topic - Full event name.
+   * @returns {RegExp} Topic pattern.
+   */
+  get_topic_pattern (topic) {
+    return new RegExp(`^${topic.split('*').map(str => FlareTail.util.RegExp.escape(str)).join('.*')}$`);
+  }
+
+  /**
+   * Get the name of the method that handles a topic with `subscribe`, like `on_navigation_requested` for
+   * `V#NavigationRequested`.
+   * @param {String} topic - Event name.
+   * @returns {String} Method name.
+   */
+  get_method_name (topic) {
+    return topic.replace(/^.+?\#/, 'on').replace(/([A-Z])/g, '_$1').toLowerCase();
+  }
+
+  /**
+   * Expand the shorthand syntax of a topic. See the `trigger` and `on` functions above for details.
+   * @param {String} topic - Event name.
+   * @returns {String} Full event name.
+   */
+  resolve_topic (topic) {
+    if (topic.match(/^#/)) {
+      return this.constructor.name + topic;
+    }
+
+    return topic.replace(/^([MVP])#/, (match, prefix) => {
+      return this.constructor.name.match(/(.*)(Model|View|Presenter)$/)[1]
+              + { M: 'Model', V: 'View', P: 'Presenter' }[prefix] + '#';
+    });
+  }
+
+  /**
+   * Subscribe an event with an automatically determined callback. So this is the `on` function's shorthand. For
+   * example, if the `topic` is `V#NavigationRequested`, `on_navigation_requested` will be set as the callback function.
+   * If the `topic` contains a wildcard, the callback function will be determined by each event's actual topic.
+   * @param {String} topic - See the `on` function above for details.
+   * @param {Boolean} [global=false] - See the `on` function above for details.
+   * @returns {Function} Function to unsubscribe the event.
+   */
+  subscribe (topic, global = false) {
+    if (FlareTail.debug) {
+      const pattern = this.get_topic_pattern(this.resolve_topic(topic));
+
+      // Check if the handlers for the declared topics are implemented
+      for (const declared of FlareTail.app.Event.catalog.keys()) if (pattern.test(declared)) {
+        const method_name = this.get_method_name(declared);
+
+        if (typeof this[method_name] !== 'function') {
+          console.warn(`[Event] ${this.constructor.name} subscribes ${declared} but the handler is not defined:`,
+                       `${this.constructor.name}.prototype.${method_name}`);
+        }
+      }
+    }
+
+    return this.on(topic, (data, topic) => {
+      const method_name = this.get_method_name(topic);
+
+      if (typeof this[method_name] === 'function') {
+        this[method_name](data);
+      } else {
+        throw new TypeError(`${this.constructor.name}.prototype.${method_name} is not a function`);
+      }
+    }, global);
+  }
+}
+
+/**
+ * How errors thrown by subscriber callbacks are handled after being published as the `FlareTail#SubscriberError`
+ * event: `log` (default) logs the error to the console, `rethrow` throws it again as an uncaught error, and `ignore`
+ * does nothing.
+ * @member {String}
+ */
+FlareTail.app.Event.error_policy = 'log';
+
+/**
+ * The event catalog declared with `FlareTail.app.Event.define`.
+ * @member {Map.<String, Object>}
+ */
+FlareTail.app.Event.catalog = new Map();
+
+/**
+ * Weak references to the instances created in debug mode, used by `FlareTail.app.Event.report_undisposed`.
+ * @member {Set.<WeakRef>}
+ */
+FlareTail.app.Event.instances = new Set();
+
+/**
+ * Remove the reference to an instance from `FlareTail.app.Event.instances` once it has been garbage-collected. This is
+ * created with the first tracked instance.
+ * @member {FinalizationRegistry}
+ */
+FlareTail.app.Event.finalizer = undefined;
+
+/**
+ * Provide a registry of `BroadcastChannel`s shared by all the app event instances. A topic has one channel for posting
+ * and one channel for receiving, which is closed when the last subscriber is removed. Since a channel doesn't receive
+ * its own messages, the separate channels keep the delivery semantics of a new channel per message: subscribers in the
+ * same context as well as other tabs and workers receive a cloned message asynchronously.
+ */
+FlareTail.app.Event.ChannelRegistry = class ChannelRegistry {
+  /**
+   * Get a ChannelRegistry instance.
+   * @returns {ChannelRegistry}
+   */
+  constructor () {
+    this.topics = new Map();
+    this.since = Date.now();
+    // Topic of the channel used to deliver all the messages to wildcard subscribers
+    this.wildcard_topic = 'FlareTail#*';
+    // Whether all the messages should be forwarded to the wildcard channel even if no wildcard subscribers are known.
+    // Other tabs and workers announce their wildcard subscribers, so this is usually not needed
+    this.forward_all = false;
+    // Identifier of this context, and other contexts having wildcard subscribers
+    this.context = FlareTail.util.Misc.hash(16);
+    this.remote_wildcards = new Set();
+    // Last sticky message for each topic and sender
+    this.sticky = new Map();
+    // Maximum number of sticky messages to be kept
+    this.sticky_limit = 500;
+    // Topic patterns already queried to other contexts, and callbacks waiting for replies
+    this.sticky_queries = new Set();
+    this.sticky_callbacks = new Map();
+  }
+
+  /**
+   * Get the registry entry for a topic, creating it if needed.
+   * @param {String} topic - Event name.
+   * @returns {Object} Entry containing `sender` and `receiver` channels, `listeners` count, as well as `sent` and
+   *  `received` message counts.
+   */
+  get_entry (topic) {
+    let entry = this.topics.get(topic);
+
+    if (!entry) {
+      entry = { sender: undefined, receiver: undefined, listeners: 0, sent: 0, received: 0 };
+      this.topics.set(topic, entry);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Post a message to the subscribers of a topic.
+   * @param {String} topic - Event name.
+   * @param {*} message - Message to be cloned and posted. If it has the `sticky` property, the message will be kept and
+   *  replayed to late subscribers.
+   */
+  post (topic, message) {
+    const entry = this.get_entry(topic);
+
+    if (message.sticky) {
+      this.keep_sticky(topic, message);
+    }
+
+    if (!entry.sender) {
+      entry.sender = new BroadcastChannel(topic);
+    }
+
+    entry.sender.postMessage(message);
+    entry.sent++;
+
+    if (topic !== this.wildcard_topic) {
+      const wildcard_entry = this.topics.get(this.wildcard_topic);
+
+      // Start tracking wildcard subscribers in other contexts
+      this.open_wildcard_channel();
+
+      if (this.forward_all || wildcard_entry && wildcard_entry.listeners || this.remote_wildcards.size) {
+        this.post(this.wildcard_topic, { topic, message });
+      }
+    }
+  }
+
+  /**
+   * Add a message listener to a topic.
+   * @param {String} topic - Event name.
+   * @param {Function} listener - Function called with a `MessageEvent` whenever a message is posted.
+   * @returns {Function} Function to remove the listener. The receiving channel will be closed once all the listeners
+   *  are removed.
+   */
+  listen (topic, listener) {
+    const entry = this.get_entry(topic);
+    let removed = false;
+
+    if (!entry.receiver) {
+      entry.receiver = new BroadcastChannel(topic);
+      entry.receiver.addEventListener('message', ({ data }) => {
+        entry.received++;
+
+        // Keep sticky messages from other contexts as well
+        if (topic !== this.wildcard_topic && data.sticky) {
+          this.keep_sticky(topic, data);
+        }
+      });
+    }
+
+    // Add the listener separately, so an exception thrown by a listener doesn't prevent the others from being called
+    entry.receiver.addEventListener('message', listener);
+
+    // Let other contexts know that messages should be forwarded to this context's wildcard subscribers
+    if (!entry.listeners++ && topic === this.wildcard_topic) {
+      this.open_wildcard_channel().postMessage({ type: 'interest', context: this.context, active: true });
+    }
+
+    return () => {
+      if (removed) {
+        return;
+      }
+
+      removed = true;
+      entry.receiver.removeEventListener('message', listener);
+
+      if (!--entry.listeners) {
+        entry.receiver.close();
+        entry.receiver = undefined;
+
+        if (topic === this.wildcard_topic) {
+          this.open_wildcard_channel().postMessage({ type: 'interest', context: this.context, active: false });
+        }
+      }
+    };
+  }
+
+  /**
+   * Open the channel used to share the presence of wildcard subscribers between contexts, if not opened yet. Other
+   * contexts are asked on opening, so the subscribers added before are known as well.
+   * @returns {BroadcastChannel} The channel.
+   */
+  open_wildcard_channel () {
+    if (this.wildcard_channel) {
+      return this.wildcard_channel;
+    }
+
+    this.wildcard_channel = new BroadcastChannel('FlareTail#Wildcard');
+    this.wildcard_channel.addEventListener('message', ({ data }) => {
+      const entry = this.topics.get(this.wildcard_topic);
+
+      if (data.type === 'query' && entry && entry.listeners) {
+        this.wildcard_channel.postMessage({ type: 'interest', context: this.context, active: true });
+      }
+
+      if (data.type === 'interest') {
+        data.active ? this.remote_wildcards.add(data.context) : this.remote_wildcards.delete(data.context);
+      }
+    });
+    this.wildcard_channel.postMessage({ type: 'query' });
+
+    return this.wildcard_channel;
+  }
+
+  /**
+   * Keep a sticky message, so it can be replayed to late subscribers. Only the last message for each topic and sender
+   * `id` is kept, and the least recently published messages are discarded when `sticky_limit` is exceeded.
+   * @param {String} topic - Event name.
+   * @param {Object} message - Message containing `id`, `data` and `sticky` (publish time).
+   * @param {Boolean} [replace_equal=true] - Whether a message published at the same time should replace the kept one.
+   * @returns {Boolean} Whether the message has been kept.
+   */
+  keep_sticky (topic, message, replace_equal = true) {
+    const key = `${topic}\n${message.id}`;
+    const kept = this.sticky.get(key);
+
+    if (kept && (kept.message.sticky > message.sticky || kept.message.sticky === message.sticky && !replace_equal)) {
+      return false;
+    }
+
+    this.sticky.delete(key);
+    this.sticky.set(key, { topic, message });
+
+    for (const key of this.sticky.keys()) {
+      if (this.sticky.size <= this.sticky_limit) {
+        break;
+      }
+
+      this.sticky.delete(key);
+    }
+
+    // Answer queries from other contexts
+    this.open_sticky_channel();
+
+    return true;
+  }
+
+  /**
+   * Get the kept sticky messages matching a topic pattern.
+   * @param {RegExp} pattern - Topic pattern.
+   * @returns {Array.<Object>} Sticky messages, each containing `topic` and `message`.
+   */
+  get_sticky (pattern) {
+    return [...this.sticky.values()].filter(({ topic }) => pattern.test(topic));
+  }
+
+  /**
+   * Discard kept sticky messages in all the contexts.
+   * @param {String} [topic] - Event name. If omitted, messages of all the topics will be discarded.
+   * @param {String} [id] - Sender's `id`. If omitted, messages from all the senders will be discarded.
+   * @param {Boolean} [broadcast=true] - Whether other contexts should be notified.
+   */
+  clear_sticky (topic = undefined, id = undefined, broadcast = true) {
+    for (const [key, { topic: _topic, message }] of [...this.sticky]) {
+      if ((!topic || _topic === topic) && (!id || message.id === id)) {
+        this.sticky.delete(key);
+      }
+    }
+
+    if (broadcast) {
+      this.open_sticky_channel().postMessage({ type: 'clear', topic, id });
+    }
+  }
+
+  /**
+   * Ask other tabs and workers for their sticky messages matching a topic pattern. Each pattern is only queried once
+   * per context, because the replies are kept locally.
+   * @param {RegExp} pattern - Topic pattern.
+   * @param {Function} callback - Function called with the topic and message whenever a new sticky message is received.
+   */
+  query_sticky (pattern, callback) {
+    if (this.sticky_queries.has(pattern.source)) {
+      return;
+    }
+
+    const query = FlareTail.util.Misc.hash(16);
+
+    this.sticky_queries.add(pattern.source);
+    this.sticky_callbacks.set(query, callback);
+    this.open_sticky_channel().postMessage({ type: 'query', query, pattern: pattern.source });
+
+    // Replies should come shortly
+    window.setTimeout(() => this.sticky_callbacks.delete(query), 5000);
+  }
+
+  /**
+   * Open the channel used to share sticky messages between contexts, if not opened yet.
+   * @returns {BroadcastChannel} The channel.
+   */
+  open_sticky_channel () {
+    if (this.sticky_channel) {
+      return this.sticky_channel;
+    }
+
+    this.sticky_channel = new BroadcastChannel('FlareTail#Sticky');
+    this.sticky_channel.addEventListener('message', ({ data }) => {
+      if (data.type === 'query') {
+        for (const { topic, message } of this.get_sticky(new RegExp(data.pattern))) {
+          this.sticky_channel.postMessage({ type: 'reply', query: data.query, topic, message });
+        }
+      }
+
+      if (data.type === 'reply' && this.sticky_callbacks.has(data.query)) {
+        if (this.keep_sticky(data.topic, data.message, false)) {
+          this.sticky_callbacks.get(data.query)(data.topic, data.message);
+        }
+      }
+
+      if (data.type === 'clear') {
+        this.clear_sticky(data.topic, data.id, false);
+      }
+    });
+
+    return this.sticky_channel;
+  }
+
+  /**
+   * Get the channel counts and message throughput.
+   * @returns {Object} Statistics containing `channels` (the number of open channels), `messages` (the numbers of sent
+   *  and received messages), `per_second` (the same numbers per second) and `topics` (per-topic details).
+   */
+  get_stats () {
+    const seconds = Math.max((Date.now() - this.since) / 1000, 1);
+    const topics = {};
+    const stats = { channels: 0, messages: { sent: 0, received: 0 } };
+
+    for (const [topic, { sender, receiver, listeners, sent, received }] of this.topics) {
+      topics[topic] = { listeners, sent, received };
+      stats.channels += (sender ? 1 : 0) + (receiver ? 1 : 0);
+      stats.messages.sent += sent;
+      stats.messages.received += received;
+    }
+
+    stats.per_second = {
+      sent: Number((stats.messages.sent / seconds).toFixed(2)),
+      received: Number((stats.messages.received / seconds).toFixed(2)),
+    };
+    stats.topics = topics;
+
+    return stats;
+  }
+
+  /**
+   * Log the statistics to the console in debug mode.
+   */
+  report () {
+    if (FlareTail.debug) {
+      const { channels, messages, per_second, topics } = this.get_stats();
+
+      console.info('[Event] Channels:', channels, 'Messages:', messages, 'Per second:', per_second);
+      console.table(topics);
+    }
+  }
+}
+
+/**
+ * The channel registry shared by all the app event instances.
+ * @member {ChannelRegistry}
+ */
+FlareTail.app.Event.channels = new FlareTail.app.Event.ChannelRegistry();
+
+/**
+ * Provide an event timeline recorder and an in-page inspector panel for debugging. The events published in this
+ * context, as well as other tabs and workers running an inspector, are recorded with the time, topic, sender `id`,
+ * receiving instances and data. This only works in debug mode.
+ * @example
+ *  ```js
+ *  if (FlareTail.debug) {
+ *    new FlareTail.app.Event.Inspector().start().show();
+ *  }
+ *  ```
+ */
+FlareTail.app.Event.Inspector = class Inspector {
+  /**
+   * Get an Inspector instance.
+   * @param {Object} [options]
+   * @param {Number} [options.limit=1000] - Maximum number of records to be kept. Older records will be discarded.
+   * @returns {Inspector}
+   */
+  constructor ({ limit = 1000 } = {}) {
+    this.limit = limit;
+    // Records keyed by message uid
+    this.records = new Map();
+    this.paused = false;
+    this.filter = '';
+  }
+
+  /**
+   * Start recording events. This does nothing unless in debug mode.
+   * @returns {Inspector} The instance itself.
+   */
+  start () {
+    const channels = FlareTail.app.Event.channels;
+
+    if (!FlareTail.debug || this.remove) {
+      return this;
+    }
+
+    // Forward all the messages to the wildcard channel, so inspectors in other contexts can record them as well
+    this.forward_all = channels.forward_all;
+    channels.forward_all = true;
+    this.remove = channels.listen(channels.wildcard_topic, ({ data }) => this.add(data.topic, data.message));
+    FlareTail.app.Event.inspector = this;
+
+    return this;
+  }
+
+  /**
+   * Stop recording events. The records will be kept until `clear` is called.
+   */
+  stop () {
+    if (!this.remove) {
+      return;
+    }
+
+    this.remove();
+    this.remove = undefined;
+    FlareTail.app.Event.channels.forward_all = this.forward_all;
+
+    if (FlareTail.app.Event.inspector === this) {
+      FlareTail.app.Event.inspector = undefined;
+    }
+  }
+
+  /**
+   * Get the record for a message, creating it if needed and not paused. The least recently created records will be
+   * discarded when `limit` is exceeded.
+   * @param {String} topic - Event name.
+   * @param {Object} message - Message containing `id`, `data` and `uid` (if published with `trigger`).
+   * @returns {Object} Record containing `uid`, `time`, `topic`, `id`, `receivers` and `data`, or `undefined` if paused.
+   */
+  get_record (topic, message) {
+    const uid = message.uid || FlareTail.util.Misc.hash(16);
+    let record = this.records.get(uid);
+
+    if (!record && !this.paused) {
+      record = { uid, time: Date.now(), topic, id: message.id, receivers: [], data: message.data };
+      this.records.set(uid, record);
+
+      for (const key of this.records.keys()) {
+        if (this.records.size <= this.limit) {
+          break;
+        }
+
+        this.records.delete(key);
+      }
+    }
+
+    return record;
+  }
+
+  /**
+   * Record a published message.
+   * @param {String} topic - Event name.
+   * @param {Object} message - Posted message.
+   */
+  add (topic, message) {
+    if (this.get_record(topic, message)) {
+      this.render();
+    }
+  }
+
+  /**
+   * Record an instance receiving a message. This is called by `FlareTail.app.Event.prototype.on`.
+   * @param {String} topic - Event name.
+   * @param {Object} message - Received message.
+   * @param {FlareTail.app.Event} instance - Receiving instance.
+   */
+  add_receiver (topic, message, instance) {
+    const record = message.uid ? this.get_record(topic, message) : undefined;
+
+    if (record) {
+      record.receivers.push(`${instance.constructor.name}(${instance.id})`);
+      this.render();
+    }
+  }
+
+  /**
+   * Discard all the records.
+   */
+  clear () {
+    this.records.clear();
+    this.render();
+  }
+
+  /**
+   * Get the records matching the current filter.
+   * @returns {Array.<Object>} Records.
+   */
+  get_records () {
+    const filter = this.filter.toLowerCase();
+
+    return [...this.records.values()].filter(({ topic, id, receivers }) => {
+      return !filter || [topic, id, ...receivers].some(str => String(str).toLowerCase().includes(filter));
+    });
+  }
+
+  /**
+   * Get the grid rows for the records matching the current filter.
+   * @returns {Array.<Object>} Rows, each containing `data`.
+   */
+  get_rows () {
+    return this.get_records().map(({ uid, time, topic, id, receivers, data }) => {
+      const preview = JSON.stringify(data) || '';
+
+      return { data: {
+        id: uid,
+        time: `${new Date(time).toTimeString().substr(0, 8)}.${String(time % 1000).padStart(3, '0')}`,
+        topic,
+        sender: id,
+        receivers: receivers.join(', '),
+        data: preview.length > 100 ? `${preview.substr(0, 100)}…` : preview,
+      } };
+    });
+  }
+
+  /**
+   * Show the inspector panel, containing a toolbar and a grid of the records.
+   * @param {HTMLElement} [$parent=document.body] - Element the panel will be appended to.
+   */
+  show ($parent = document.body) {
+    if (this.$panel) {
+      return;
+    }
+
+    const $panel = this.$panel = document.createElement('section');
+    const $toolbar = $panel.appendChild(document.createElement('header'));
+    const $filter = $toolbar.appendChild(document.createElement('input'));
+    const $grid = document.createElement('table');
+    const add_button = (label, listener) => {
+      const $button = $toolbar.appendChild(document.createElement('button'));
+
+      $button.type = 'button';
+      $button.textContent = label;
+      $button.addEventListener('click', () => listener($button));
+
+      return $button;
+    };
+
+    $panel.className = 'event-inspector';
+    $panel.setAttribute('aria-label', 'Event Inspector'); // l10n
+    $toolbar.setAttribute('role', 'toolbar');
+    $filter.type = 'search';
+    $filter.placeholder = 'Filter by topic or id'; // l10n
+    $filter.addEventListener('input', () => {
+      this.filter = $filter.value.trim();
+      this.render();
+    });
+
+    add_button('Pause', $button => { // l10n
+      this.paused = !this.paused;
+      $button.setAttribute('aria-pressed', this.paused);
+    }).setAttribute('aria-pressed', this.paused);
+    add_button('Clear', () => this.clear()); // l10n
+    add_button('Export', () => this.export()); // l10n
+
+    $grid.id = 'event-inspector-grid';
+    $grid.setAttribute('role', 'grid');
+    $grid.setAttribute('aria-readonly', 'true');
+    $panel.appendChild($grid);
+    $parent.appendChild($panel);
+
+    this.$$grid = new FlareTail.widgets.Grid($grid, {
+      columns: [
+        { id: 'time', label: 'Time', key: true }, // l10n
+        { id: 'topic', label: 'Topic' }, // l10n
+        { id: 'sender', label: 'Sender' }, // l10n
+        { id: 'receivers', label: 'Receivers' }, // l10n
+        { id: 'data', label: 'Data' }, // l10n
+      ],
+      rows: this.get_rows(),
+    }, {
+      sort_conditions: { key: 'time', order: 'descending' },
+    });
+  }
+
+  /**
+   * Remove the inspector panel. Recording continues until `stop` is called.
+   */
+  hide () {
+    if (this.$panel) {
+      this.$panel.remove();
+      this.$panel = this.$$grid = undefined;
+    }
+  }
+
+  /**
+   * Update the grid on the panel if shown. The updates are throttled, since many events can be published at once.
+   */
+  render () {
+    if (!this.$$grid || this.render_timer) {
+      return;
+    }
+
+    this.render_timer = window.setTimeout(() => {
+      this.render_timer = undefined;
+
+      if (this.$$grid) {
+        this.$$grid.build_body(this.get_rows());
+      }
+    }, 250);
+  }
+
+  /**
+   * Export the records matching the current filter as a JSON file, which can be attached to a bug report.
+   * @returns {Blob} Exported file.
+   */
+  export () {
+    const blob = new Blob([JSON.stringify({
+      exported: new Date().toISOString(),
+      location: location.href,
+      records: this.get_records(),
+    }, null, 2)], { type: 'application/json' });
+    const $link = document.createElement('a');
+
+    $link.href = URL.createObjectURL(blob);
+    $link.download = `events-${Date.now()}.json`;
+    $link.click();
+    window.setTimeout(() => URL.revokeObjectURL($link.href), 1000);
+
+    return blob;
+  }
+}
+
+/**
+ * The inspector currently recording events, if any.
+ * @member {Inspector}
+ */
+FlareTail.app.Event.inspector = undefined;
+
+/**
+ * Provide app datasource functionalities. This is the base class of the datasource backends: `IndexedDB`, `Memory` and
+ * `WebStorage`. A backend should implement `open_database`, `get_store` and `transaction`, so `Model` and `Collection`
+ * can work with any of them. The database structure is declared with the `schema` property, and existing records are
+ * upgraded with the `migrations` property. See `FlareTail.app.DataSource.IndexedDB` for details.
+ * @extends FlareTail.app.Event
+ */
+FlareTail.app.DataSource = class DataSource extends FlareTail.app.Event {
+  /**
+   * Open a database by name, and return it.
+   * @param {String} name - Name of the database.
+   * @param {Integer} [version] - Database version. If omitted, the latest version in `migrations` or 1 will be used.
+   * @returns {Promise.<Object>} The target database.
+   */
+  async open_database (name, version = undefined) {
+    throw new Error(`${this.constructor.name}.prototype.open_database is not implemented`);
+  }
+
+  /**
+   * Get a store in a convenient way.
+   * @param {String} name - Name of the store.
+   * @param {Boolean} [return_request=false] - Whether operation methods return a request instead of the result, if
+   *  supported by the backend.
+   * @returns {Object} Set of operation methods: `save`, `save_all`, `get`, `get_all`, `query`, `count`, `iterate`,
+   *  `delete` and `clear`, as well as `obj` that has the store's `name`, `keyPath` and `autoIncrement`. See
+   *  `FlareTail.app.DataSource.IndexedDB.prototype.get_store` for details.
+   */
+  get_store (name, return_request = false) {
+    throw new Error(`${this.constructor.name}.prototype.get_store is not implemented`);
+  }
+
+  /**
+   * Run operations on one or more stores in a single transaction, so they are applied atomically.
+   * @param {(String|Array.<String>)} stores - Name(s) of the stores.
+   * @param {String} mode - `readonly` or `readwrite`.
+   * @param {Function} callback - Function called with a transaction Object. See
+   *  `FlareTail.app.DataSource.IndexedDB.prototype.transaction` for details.
+   * @returns {Promise.<*>} Value returned by the callback.
+   */
+  async transaction (stores, mode, callback) {
+    throw new Error(`${this.constructor.name}.prototype.transaction is not implemented`);
+  }
+
+  /**
+   * Get the latest database version declared in the `migrations` property.
+   * @returns {Integer} Version number, or 1 if there are no migrations.
+   */
+  get_latest_version () {
+    return Math.max(1, ...Object.keys(this.migrations || {}).map(Number));
+  }
+
+  /**
+   * Get the migration steps to be run from an old version to a new one. Migrations are not run when the database is
+   * newly created, because the `schema` should already be up to date.
+   * @param {Integer} old_version - Current database version, or 0 if the database is newly created.
+   * @param {Integer} new_version - Requested database version.
+   * @returns {Array.<Array>} Pairs of a version number and a step, in order.
+   */
+  get_migrations (old_version, new_version) {
+    const migrations = this.migrations || {};
+
+    return Object.keys(migrations).map(Number)
+                 .filter(version => old_version && version > old_version && version <= new_version)
+                 .sort((a, b) => a - b)
+                 .map(version => [version, migrations[version]]);
+  }
+
+  /**
+   * Transform a record with a migration function.
+   * @param {Object} record - Original record.
+   * @param {Function} transform - Function called with the record. It can return a new record, `null` to delete the
+   *  record, or `undefined` to keep the modified record as is.
+   * @returns {Object} Transformed record, or `null` if the record should be deleted.
+   */
+  transform_record (record, transform) {
+    const result = transform(record);
+
+    return result === undefined ? record : result;
+  }
+
+  /**
+   * Fire the `#Changed` event to notify changes made in a store. Since events are delivered through `BroadcastChannel`,
+   * subscribers in other tabs and workers also receive the notice, which can be distinguished with the `origin`.
+   * @param {String} store - Name of the store.
+   * @param {String} operation - `save`, `delete` or `clear`.
+   * @param {Array.<(String|Number)>} keys - Keys of the changed records. Empty if the store has been cleared.
+   */
+  notify_change (store, operation, keys) {
+    this.trigger('#Changed', { store, operation, keys, origin: FlareTail.app.DataSource.origin });
+  }
+
+  /**
+   * Add a change to the list of pending changes, so the changes of the same store and operation made in a transaction
+   * can be notified together.
+   * @param {Map.<String, Object>} changes - Pending changes.
+   * @param {String} store - Name of the store.
+   * @param {String} operation - `save`, `delete` or `clear`.
+   * @param {Array.<(String|Number)>} keys - Keys of the changed records.
+   */
+  add_change (changes, store, operation, keys) {
+    const id = `${store}\n${operation}`;
+
+    if (!changes.has(id)) {
+      changes.set(id, { store, operation, keys: [] });
+    }
+
+    changes.get(id).keys.push(...keys);
+  }
+
+  /**
+   * Get the names of the stores in the database.
+   * @returns {Array.<String>} Store names. The default implementation returns the stores declared in the `schema`.
+   */
+  get_store_names () {
+    return Object.keys(this.schema || {});
+  }
+
+  /**
+   * Export all the records in the database as a backup, which can be restored with `import`. The stores are read in a
+   * single `readonly` transaction, so the backup is a consistent snapshot. Note that values that cannot be represented
+   * in JSON, like `Date`, will be converted to strings, and stores without a key path cannot be exported because the
+   * keys are not part of the records.
+   * @param {Object} [options]
+   * @param {String} [options.format='json'] - `json` for a single JSON object containing `stores`, or `ndjson` for a
+   *  header line followed by one `{ store, record }` line per record.
+   * @param {Array.<String>} [options.stores] - Names of the stores to be exported. If omitted, all the stores will be
+   *  exported.
+   * @returns {Promise.<Blob>} Backup file also containing `name` and `version` of the database. The promise will be
+   *  rejected if a store doesn’t have a key path.
+   */
+  async export ({ format = 'json', stores = this.get_store_names() } = {}) {
+    const header = {
+      format: 'flaretail-datasource',
+      format_version: 1,
+      name: this.database.name,
+      version: this.database.version,
+      exported: new Date().toISOString(),
+    };
+    const records = {};
+    const lines = [JSON.stringify(Object.assign({}, header, { stores }))];
+
+    await this.transaction(stores, 'readonly', async tx => {
+      for (const name of stores) {
+        const store = tx.get_store(name);
+
+        if (typeof store.obj.keyPath !== 'string' && !Array.isArray(store.obj.keyPath)) {
+          throw new Error(`The store ${name} cannot be exported because it doesn’t have a key path`);
+        }
+
+        // Read the local records only
+        records[name] = await store.query();
+      }
+    });
+
+    if (format === 'ndjson') {
+      for (const name of stores) {
+        lines.push(...records[name].map(record => JSON.stringify({ store: name, record })));
+      }
+    }
+
+    if (format === 'ndjson') {
+      return new Blob([`${lines.join('\n')}\n`], { type: 'application/x-ndjson' });
+    }
+
+    return new Blob([JSON.stringify(Object.assign(header, { stores: records }))], { type: 'application/json' });
+  }
+
+  /**
+   * Import a backup created with `export`. The backup is validated first, and if it was exported from an older
+   * version of the database, the `transform` functions in the pending `migrations` are applied to the records, and the
+   * stores removed since that version are skipped. Then all the records are saved in a single transaction.
+   * @param {(Blob|String)} source - Backup file or its content, in JSON or NDJSON.
+   * @param {Object} [options]
+   * @param {String} [options.mode='merge'] - `merge` to add or update the records, or `replace` to clear the stores
+   *  contained in the backup before saving the records.
+   * @returns {Promise.<Object>} Result containing `version` of the backup and `stores`, whose key is a store name and
+   *  value is the number of imported records. The promise will be rejected if the backup is invalid.
+   */
+  async import (source, { mode = 'merge' } = {}) {
+    const backup = this.parse_backup(typeof source === 'string' ? source : await source.text());
+    const names = this.get_store_names();
+    const result = { version: backup.version, stores: {} };
+    const errors = [];
+
+    if (!['merge', 'replace'].includes(mode)) {
+      throw new Error(`Unsupported import mode: ${mode}`);
+    }
+
+    for (const [version, { transform = {} }] of this.get_migrations(backup.version, this.database.version)) {
+      for (const [name, func] of Object.entries(transform)) if (backup.stores[name]) {
+        backup.stores[name] = backup.stores[name].map(record => this.transform_record(record, func))
+                                                 .filter(record => record !== null);
+      }
+    }
+
+    // Check the store names after the migrations, because a store may have been removed
+    for (const name of Object.keys(backup.stores)) if (!names.includes(name)) {
+      if (backup.version < this.database.version) {
+        if (FlareTail.debug) {
+          console.info(`[DataSource] Skipping ${name}, which has been removed since version ${backup.version}`);
+        }
+
+        delete backup.stores[name];
+      } else {
+        errors.push(`the store ${name} doesn’t exist`);
+      }
+    }
+
+    const store_names = Object.keys(backup.stores);
+
+    // Check the keys after the migrations, because the key path may have been changed
+    for (const name of store_names) if (names.includes(name)) {
+      const { keyPath: key_path, autoIncrement: auto_increment } = this.get_store(name).obj;
+      const get_key = record => key_path.split('.').reduce((obj, prop) => obj ? obj[prop] : undefined, record);
+
+      if (auto_increment) {
+        continue;
+      }
+
+      // Out-of-line keys are not part of the records
+      if (typeof key_path !== 'string' && !Array.isArray(key_path)) {
+        errors.push(`the store ${name} doesn’t have a key path`);
+      } else if (typeof key_path === 'string' && backup.stores[name].some(record => get_key(record) === undefined)) {
+        errors.push(`some records in ${name} don’t have the key ${key_path}`);
+      }
+    }
+
+    if (errors.length) {
+      throw new Error(`The backup cannot be imported: ${errors.join('; ')}`);
+    }
+
+    await this.transaction(store_names, 'readwrite', async tx => {
+      for (const name of store_names) {
+        const store = tx.get_store(name);
+
+        if (mode === 'replace') {
+          await store.clear();
+        }
+
+        result.stores[name] = (await store.save_all(backup.stores[name])).length;
+      }
+    });
+
+    if (FlareTail.debug) {
+      console.info(`[DataSource] Imported ${this.database.name} version ${backup.version}:`, result.stores);
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse and validate a backup created with `export`.
+   * @param {String} text - Backup content in JSON or NDJSON.
+   * @returns {Object} Backup containing `name`, `version` and `stores`, whose key is a store name and value is an Array
+   *  of records. An `Error` will be thrown if the backup is invalid.
+   */
+  parse_backup (text) {
+    const errors = [];
+    let backup;
+
+    try {
+      backup = JSON.parse(text);
+    } catch (ex) {
+      // NDJSON: a header line followed by record lines
+      try {
+        const [header, ...lines] = text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+
+        backup = Object.assign({}, header, { stores: {} });
+
+        for (const name of header.stores || []) {
+          backup.stores[name] = [];
+        }
+
+        for (const { store, record } of lines) {
+          (backup.stores[store] = backup.stores[store] || []).push(record);
+        }
+      } catch (ex) {
+        throw new Error('The backup cannot be imported: it’s not a valid JSON or NDJSON file');
+      }
+    }
+
+    // A NDJSON header only, without records
+    if (backup && Array.isArray(backup.stores)) {
+      backup.stores = backup.stores.reduce((stores, name) => Object.assign(stores, { [name]: [] }), {});
+    }
+
+    if (!backup || backup.format !== 'flaretail-datasource' || backup.format_version !== 1) {
+      throw new Error('The backup cannot be imported: it’s not a FlareTail datasource backup');
+    }
+
+    if (!Number.isInteger(backup.version) || backup.version < 1) {
+      errors.push(`the version ${backup.version} is invalid`);
+    } else if (backup.version > this.database.version) {
+      errors.push(`the version ${backup.version} is newer than the database version ${this.database.version}`);
+    }
+
+    if (!backup.stores || typeof backup.stores !== 'object') {
+      errors.push('the stores are not found');
+    }
+
+    // The store names are checked in `import` after the migrations
+    for (const [name, records] of Object.entries(backup.stores || {})) {
+      if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object')) {
+        errors.push(`the records in ${name} are invalid`);
+      }
+    }
+
+    if (errors.length) {
+      throw new Error(`The backup cannot be imported: ${errors.join('; ')}`);
+    }
+
+    return backup;
+  }
+}
+
+/**
+ * Identifier of the current context, used as the `origin` of the `#Changed` events.
+ * @member {String}
+ */
+FlareTail.app.DataSource.origin = FlareTail.util.Misc.hash(16);
+
+/**
+ * Provide IndexedDB datasource functionalities. The database structure can be declared with the `schema` property, and
+ * existing records can be upgraded with the `migrations` property. Both should be set before calling `open_database`.
+ * @extends FlareTail.app.DataSource
+ * @example
+ *  ```js
+ *  class BugDataSource extends FlareTail.app.DataSource.IndexedDB {
+ *    constructor () {
+ *      super();
+ *      this.schema = {
+ *        bugs: { key_path: 'id', indexes: { status: {}, cc: { multi_entry: true } } },
+ *        prefs: { key_path: 'name' },
+ *      };
+ *      this.migrations = {
+ *        2: { transform: { bugs: bug => { bug.cc = bug.cc || []; } } },
+ *        3: {
+ *          upgrade: database => database.deleteObjectStore('comments'),
+ *          transform: { prefs: pref => pref.name.startsWith('ui.') ? null : pref },
+ *        },
+ *      };
+ *    }
+ *  }
+ *
+ *  const datasource = new BugDataSource();
+ *
+ *  datasource.on('#VersionChange', () => alert('The app has been updated. Please reload the page.'), true);
+ *  await datasource.open_database('bugs'); // Version 3, the latest migration
+ *  ```
+ */
+FlareTail.app.DataSource.IndexedDB = class IDBDataSource extends FlareTail.app.DataSource {
+  /**
+   * Open a local IndexedDB database by name, and return it. If the database is created or upgraded, the optional
+   * `onupgradeneeded` handler is called first, then the `schema` is applied, then the pending `migrations` are run. If
+   * other tabs keep the database open with an older version, the `#Blocked` event is fired until they close it. Once
+   * opened, the connection will be closed if another tab requests a newer version, and the `#VersionChange` event will
+   * be fired, so the app can ask the user to reload. If IndexedDB is not available, for example in private browsing
+   * mode, the datasource falls back to another backend. See the `open_fallback` function below for details. Other
+   * errors, like a newer or corrupted database, reject the promise.
+   * @param {String} name - Name of the database.
+   * @param {Integer} [version] - Database version. If omitted, the latest version in `migrations` or 1 will be used.
+   * @returns {Promise.<(IDBDatabase|Object|Error)>} The target database, or the fallback backend's database.
+   */
+  async open_database (name, version = undefined) {
+    version = version || this.get_latest_version();
+
+    let request;
+
+    try {
+      request = indexedDB.open(name, version);
+    } catch (ex) {
+      return this.open_fallback(name, version, ex);
+    }
+
+    return new Promise((resolve, reject) => {
+      let migration_error;
+
+      // Create object stores when the database is created or upgraded
+      request.addEventListener('upgradeneeded', async event => {
+        const transaction = event.target.transaction;
+
+        // Abort the upgrade if any step throws, so the database is left as is
+        try {
+          if (typeof this.onupgradeneeded === 'function') {
+            this.onupgradeneeded(event);
+          }
+
+          this.apply_schema(event.target.result, transaction);
+          await this.migrate(transaction, event.oldVersion, event.newVersion);
+        } catch (ex) {
+          migration_error = ex;
+
+          try {
+            transaction.abort();
+          } catch (ex) {} // The transaction has already been aborted
+        }
+      }, { once: true });
+
+      request.addEventListener('blocked', event => {
+        this.trigger('#Blocked', { name, old_version: event.oldVersion, new_version: event.newVersion });
+
+        if (FlareTail.debug) {
+          console.warn(`[IDBDataSource] Opening ${name} version ${version} is blocked by other tabs`);
+        }
+      });
+
+      request.addEventListener('success', event => {
+        const database = this.database = event.target.result;
+
+        database.addEventListener('versionchange', event => {
+          // Close the connection, so the database can be upgraded or deleted in another tab
+          database.close();
+
+          if (this.database === database) {
+            this.database = undefined;
+          }
+
+          this.trigger('#VersionChange', { name, old_version: event.oldVersion, new_version: event.newVersion });
+        });
+
+        resolve(database);
+      }, { once: true });
+
+      request.addEventListener('error', event => {
+        const { name: error_name, message } = event.target.error || {};
+
+        if (migration_error) {
+          reject(new Error(`Failed to migrate the database to version ${version}: ${migration_error.message}`));
+        } else if (['InvalidStateError', 'SecurityError'].includes(error_name)) {
+          // IndexedDB is not available, for example in private browsing mode
+          resolve(this.open_fallback(name, version, new Error(`IndexedDB is not available: ${message}`)));
+        } else {
+          // The database is newer, corrupted or over quota; falling back would hide the data or lose new changes
+          reject(new Error(`Failed to open the database: ${message || error_name}`));
+        }
+      }, { once: true });
+    });
+  }
+
+  /**
+   * Open a database with the fallback backend, when IndexedDB is not available. The backend is specified with the
+   * `fallback` property: a datasource class like `FlareTail.app.DataSource.WebStorage`, or `null` to disable the
+   * fallback. The default is `FlareTail.app.DataSource.Memory`. Once opened, `get_store` and `transaction` are
+   * delegated to the backend, and its events are fired as this instance. The `#Fallback` event is fired with `name`,
+   * `backend` (class name) and `message`, so the app can tell the user that the data may not be kept.
+   * @param {String} name - Name of the database.
+   * @param {Integer} version - Database version.
+   * @param {Error} error - Error thrown while opening the IndexedDB database.
+   * @returns {Promise.<(Object|Error)>} The backend's database.
+   */
+  async open_fallback (name, version, error) {
+    const backend_class = this.fallback === undefined ? FlareTail.app.DataSource.Memory : this.fallback;
+
+    if (!backend_class) {
+      throw error;
+    }
+
+    const backend = this.backend = new backend_class(this.id);
+
+    backend.schema = this.schema;
+    backend.migrations = this.migrations;
+    // Fire events as this instance, so subscribers don't have to know the backend
+    backend.trigger = (topic, data, options) => this.trigger(topic, data, options);
+
+    if (FlareTail.debug) {
+      console.warn(`[IDBDataSource] ${error.message} Falling back to ${backend.constructor.name}.`);
+    }
+
+    this.trigger('#Fallback', { name, backend: backend.constructor.name, message: error.message });
+
+    return this.database = await backend.open_database(name, version);
+  }
+
+  /**
+   * Create the object stores and indexes declared in the `schema` property if they don't exist yet. Indexes no longer
+   * declared will be removed, and indexes with a different definition will be recreated. The key path of an existing
+   * store cannot be changed; use a migration to recreate the store instead.
+   * @param {IDBDatabase} database - Database being upgraded.
+   * @param {IDBTransaction} transaction - The `versionchange` transaction.
+   */
+  apply_schema (database, transaction) {
+    for (const [name, { key_path, auto_increment = false, indexes = {} }] of Object.entries(this.schema || {})) {
+      const store = database.objectStoreNames.contains(name) ? transaction.objectStore(name)
+                  : database.createObjectStore(name, { keyPath: key_path, autoIncrement: auto_increment });
+
+      for (const index_name of [...store.indexNames]) if (!(index_name in indexes)) {
+        store.deleteIndex(index_name);
+      }
+
+      for (const [index_name, { key_path = index_name, unique = false, multi_entry = false }] of
+          Object.entries(indexes)) {
+        if (store.indexNames.contains(index_name)) {
+          const index = store.index(index_name);
+
+          if (JSON.stringify(index.keyPath) === JSON.stringify(key_path) && index.unique === unique &&
+              index.multiEntry === multi_entry) {
+            continue;
+          }
+
+          store.deleteIndex(index_name);
+        }
+
+        store.createIndex(index_name, key_path, { unique, multiEntry: multi_entry });
+      }
+    }
+  }
+
+  /**
+   * Run the migration steps declared in the `migrations` property, from the old version to the new one in order. The
+   * `migrations` property is an Object whose key is a version number and value is a step containing the optional
+   * `upgrade` function, called with the database and the `versionchange` transaction to make structural changes, and
+   * the optional `transform` Object, whose key is a store name and value is a function called with each record. The
+   * function can return a new record, `null` to delete the record, or `undefined` to save the modified record as is.
+   * Migrations are not run when the database is newly created, because the `schema` should already be up to date.
+   * @param {IDBTransaction} transaction - The `versionchange` transaction.
+   * @param {Integer} old_version - Current database version.
+   * @param {Integer} new_version - Requested database version.
+   * @returns {Promise.<undefined>}
+   */
+  async migrate (transaction, old_version, new_version) {
+    for (const [version, { upgrade, transform = {} }] of this.get_migrations(old_version, new_version)) {
+      if (typeof upgrade === 'function') {
+        upgrade(transaction.db, transaction);
+      }
+
+      // Transform the stores one by one, so each step sees the records updated by the previous steps
+      for (const [name, func] of Object.entries(transform)) {
+        await this.transform_store(transaction.objectStore(name), func);
+      }
+
+      if (FlareTail.debug) {
+        console.info(`[IDBDataSource] ${transaction.db.name} has been migrated to version ${version}`);
+      }
+    }
+  }
+
+  /**
+   * Update all the records in a store with a function.
+   * @param {IDBObjectStore} store - Target store.
+   * @param {Function} transform - Function called with each record. See the `migrate` function above for details.
+   * @returns {Promise.<undefined>}
+   */
+  async transform_store (store, transform) {
+    return new Promise((resolve, reject) => {
+      const request = store.openCursor();
+
+      request.addEventListener('success', () => {
+        const cursor = request.result;
+
+        if (!cursor) {
+          resolve();
+
+          return;
+        }
+
+        try {
+          const record = this.transform_record(cursor.value, transform);
+
+          if (record === null) {
+            cursor.delete();
+          } else {
+            cursor.update(record);
+          }
+
+          cursor.continue();
+        } catch (ex) {
+          reject(ex);
+        }
+      });
+
+      request.addEventListener('error', () => reject(request.error));
+    });
+  }
+
+  /**
+   * Get the names of the object stores in the database.
+   * @returns {Array.<String>} Store names.
+   */
+  get_store_names () {
+    return this.backend ? this.backend.get_store_names() : [...this.database.objectStoreNames];
+  }
+
+  /**
+   * Get a IndexedDB store in a convenient way.
+   * @param {String} name - Name of the object store.
+   * @param {Boolean} [return_request=false] - If `true`, operation methods return an `IDBRequest` instead of the result
+   *  `Array`.
+   * @returns {Object} Set of operation methods that return a `Promise`, except `iterate` returning an async iterator.
+   *  `query`, `count` and `iterate` take the query options. See the `read_cursor` and `iterate` functions below for
+   *  details. `obj` has the store's `name`, `keyPath` and `autoIncrement` like other backends. Use
+   *  `tx.obj.objectStore(name)` in `transaction()` to access the native `IDBObjectStore`.
+   * @example
+   *  ```js
+   *  const store = datasource.get_store('bugs');
+   *  const open_bugs = await store.query({ index: 'status', range: 'NEW', limit: 50, direction: 'prev' });
+   *  const recent_count = await store.count({ index: 'last_change_time', range: { lower: '2017-01-01' } });
+   *
+   *  for await (const bug of store.iterate({ index: 'product', range: 'Firefox' })) {
+   *    await render(bug);
+   *  }
+   *  ```
+   */
+  get_store (name, return_request = false) {
+    if (this.backend) {
+      return this.backend.get_store(name, return_request);
+    }
+
+    // Open a new transaction for each operation, so reads don't lock the store for writing
+    return this.wrap_store(name, mode => this.database.transaction(name, mode).objectStore(name), return_request);
+  }
+
+  /**
+   * Run operations on one or more stores in a single transaction, so they are applied atomically.
+   * @param {(String|Array.<String>)} stores - Name(s) of the object stores.
+   * @param {String} mode - `readonly` or `readwrite`.
+   * @param {Function} callback - Function called with a transaction Object containing `obj` (the `IDBTransaction`),
+   *  `get_store(name)` that returns the same operation methods as `get_store` above but bound to the transaction, and
+   *  `abort()`. The callback can be async, but should only await operations in the transaction, otherwise the
+   *  transaction will be committed automatically in the meantime. If the callback throws, the transaction is aborted.
+   * @returns {Promise.<*>} Value returned by the callback, resolved once the transaction is completed. The promise will
+   *  be rejected if the transaction is aborted.
+   * @example
+   *  ```js
+   *  await datasource.transaction(['bugs', 'comments'], 'readwrite', async tx => {
+   *    await tx.get_store('bugs').save(bug);
+   *    await tx.get_store('comments').save(comment);
+   *  });
+   *  ```
+   */
+  async transaction (stores, mode, callback) {
+    if (this.backend) {
+      return this.backend.transaction(stores, mode, callback);
+    }
+
+    const transaction = this.database.transaction(stores, mode);
+    const completed = new Promise((resolve, reject) => {
+      transaction.addEventListener('complete', () => resolve());
+      transaction.addEventListener('abort', () => {
+        reject(transaction.error || new Error('The transaction was aborted'));
+      });
+    });
+    let result;
+
+    try {
+      result = await callback({
+        obj: transaction, // IDBTransaction
+        get_store: (name, return_request = false) => {
+          return this.wrap_store(name, () => transaction.objectStore(name), return_request, transaction);
+        },
+        abort: () => transaction.abort(),
+      });
+    } catch (ex) {
+      // Avoid an unhandled rejection, since the error thrown by the callback will be used
+      completed.catch(() => {});
+
+      try {
+        transaction.abort();
+      } catch (ex) {} // The transaction has already been finished
+
+      throw ex;
+    }
+
+    await completed;
+
+    return result;
+  }
+
+  /**
+   * Get the operation methods for a store. Read methods use a `readonly` transaction, and write methods use a
+   * `readwrite` transaction.
+   * @param {String} name - Name of the object store.
+   * @param {Function} get_object_store - Function called with a transaction mode, returning an `IDBObjectStore`.
+   * @param {Boolean} [return_request=false] - See the `get_store` function above for details.
+   * @param {IDBTransaction} [transaction] - Transaction the methods are bound to, if any.
+   * @returns {Object} Set of operation methods. See the `get_store` function above for details.
+   */
+  wrap_store (name, get_object_store, return_request = false, transaction = undefined) {
+    const read = () => get_object_store('readonly');
+    const write = () => get_object_store('readwrite');
+    const send = request => new Promise((resolve, reject) => {
+      request.addEventListener('success', event => resolve(return_request ? event.target : event.target.result));
+      request.addEventListener('error', event => reject(event.target.error));
+    });
+    const change = (operation, request, key = undefined) => {
+      request.addEventListener('success', () => {
+        const keys = operation === 'clear' ? [] : [key === undefined ? request.result : key];
+
+        this.record_change(request.transaction, name, operation, keys);
+      });
+
+      return send(request);
+    };
+    let metadata;
+
+    return {
+      get obj () { // Store metadata, read once
+        if (!metadata) {
+          const { keyPath, autoIncrement } = read();
+
+          metadata = { name, keyPath, autoIncrement };
+        }
+
+        return metadata;
+      },
+      save: obj => change('save', write().put({ ...obj })), // Deproxify the object before saving
+      get: key => send(read().get(key)),
+      get_all: () => send(read().getAll()),
+      delete: key => change('delete', write().delete(key), key),
+      clear: () => change('clear', write().clear()),
+      query: async options => (await this.read_cursor(read(), options)).map(({ value }) => value),
+      count: ({ index, range } = {}) => {
+        const store = read();
+
+        return send((index ? store.index(index) : store).count(this.get_key_range(range)));
+      },
+      iterate: options => this.iterate(name, options, transaction),
+      save_all: (items, options) => this.save_all(name, items, options, transaction),
+    };
+  }
+
+  /**
+   * Record a change made in a transaction. Once the transaction is completed, the `#Changed` event will be fired for
+   * each store and operation. See `FlareTail.app.DataSource.prototype.notify_change` for details.
+   * @param {IDBTransaction} transaction - Transaction the change is made in.
+   * @param {String} store - Name of the object store.
+   * @param {String} operation - `save`, `delete` or `clear`.
+   * @param {Array.<(String|Number)>} keys - Keys of the changed records.
+   */
+  record_change (transaction, store, operation, keys) {
+    this.pending_changes = this.pending_changes || new WeakMap();
+
+    let changes = this.pending_changes.get(transaction);
+
+    if (!changes) {
+      changes = new Map();
+      this.pending_changes.set(transaction, changes);
+      transaction.addEventListener('complete', () => {
+        for (const { store, operation, keys } of changes.values()) {
+          this.notify_change(store, operation, keys);
+        }
+      });
+    }
+
+    this.add_change(changes, store, operation, keys);
+  }
+
+  /**
+   * Save many records in a single transaction, which is much faster than calling `save` for each record. Once all the
+   * records are saved, the `#Changed` event will be fired once with the store name, keys and operation.
+   * @param {String} name - Name of the object store.
+   * @param {Iterable.<Object>} items - Records to be saved.
+   * @param {Object} [options]
+   * @param {Function} [options.on_progress] - Function called with `loaded` and `total` counts whenever a record is
+   *  saved.
+   * @param {AbortSignal} [options.signal] - Signal to cancel the operation. If cancelled, none of the records will be
+   *  saved and the promise will be rejected.
+   * @param {IDBTransaction} [transaction] - Transaction to be used instead of a new one. If cancelled, the whole
+   *  transaction will be aborted.
+   * @returns {Promise.<Array.<(String|Number)>>} Keys of the saved records.
+   */
+  async save_all (name, items, { on_progress, signal } = {}, transaction = undefined) {
+    items = [...items];
+
+    const total = items.length;
+    const keys = [];
+    const put_all = transaction => new Promise((resolve, reject) => {
+      const store = transaction.objectStore(name);
+      const cancel = () => reject(new Error(`Saving records in ${name} was cancelled`));
+      let loaded = 0;
+
+      if (signal && signal.aborted) {
+        cancel();
+
+        return;
+      }
+
+      if (signal) {
+        signal.addEventListener('abort', cancel, { once: true });
+      }
+
+      if (!total) {
+        resolve(keys);
+      }
+
+      for (const [index, item] of items.entries()) {
+        const request = store.put({ ...item }); // Deproxify the object before saving
+
+        request.addEventListener('success', () => {
+          keys[index] = request.result;
+          this.record_change(transaction, name, 'save', [request.result]);
+          loaded++;
+
+          if (typeof on_progress === 'function') {
+            on_progress({ loaded, total });
+          }
+
+          if (loaded === total) {
+            if (signal) {
+              signal.removeEventListener('abort', cancel);
+            }
+
+            resolve(keys);
+          }
+        });
+
+        request.addEventListener('error', () => reject(request.error));
+      }
+    });
+
+    if (!transaction) {
+      return this.transaction(name, 'readwrite', tx => put_all(tx.obj));
+    }
+
+    try {
+      return await put_all(transaction);
+    } catch (ex) {
+      try {
+        transaction.abort();
+      } catch (ex) {} // The transaction has already been finished
+
+      throw ex;
+    }
+  }
+
+  /**
+   * Get an `IDBKeyRange` from a range specification.
+   * @param {(IDBKeyRange|Object|String|Number|Date|Array)} [range] - `IDBKeyRange`, or an Object containing `only`, or
+   *  `lower` and/or `upper` with optional `lower_open` and `upper_open` Booleans. Any other value means a single key.
+   * @returns {IDBKeyRange} Key range, or `undefined` if all the records should be selected.
+   */
+  get_key_range (range = undefined) {
+    if (range === undefined || range instanceof IDBKeyRange) {
+      return range;
+    }
+
+    if (typeof range !== 'object' || Array.isArray(range) || range instanceof Date) {
+      return IDBKeyRange.only(range);
+    }
+
+    const { only, lower, upper, lower_open = false, upper_open = false } = range;
+
+    if (only !== undefined) {
+      return IDBKeyRange.only(only);
+    }
+
+    if (lower !== undefined && upper !== undefined) {
+      return IDBKeyRange.bound(lower, upper, lower_open, upper_open);
+    }
+
+    if (lower !== undefined) {
+      return IDBKeyRange.lowerBound(lower, lower_open);
+    }
+
+    if (upper !== undefined) {
+      return IDBKeyRange.upperBound(upper, upper_open);
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Read records with a cursor.
+   * @param {IDBObjectStore} store - Target store.
+   * @param {Object} [options]
+   * @param {String} [options.index] - Name of the index to be queried. If omitted, the primary key will be used.
+   * @param {*} [options.range] - Key range. See the `get_key_range` function above for details.
+   * @param {String} [options.direction='next'] - `next`, `nextunique`, `prev` or `prevunique`.
+   * @param {Number} [options.offset=0] - Number of records to be skipped.
+   * @param {Number} [options.limit=Infinity] - Maximum number of records to be read.
+   * @param {Object} [options.after] - Entry previously read. If specified, reading starts right after the entry.
+   * @returns {Promise.<Array.<Object>>} Entries, each containing `key`, `primary_key` and `value`.
+   */
+  async read_cursor (store, { index, range, direction = 'next', offset = 0, limit = Infinity, after } = {}) {
+    const source = index ? store.index(index) : store;
+    const forward = direction.startsWith('next');
+    // Index keys can be duplicated, so the primary key is also needed to resume, unless the direction is unique
+    const resume_with_primary_key = after && index && !direction.endsWith('unique');
+    let key_range = this.get_key_range(range);
+
+    if (after && !resume_with_primary_key) {
+      key_range = this.get_key_range(forward ? {
+        lower: after.key, lower_open: true,
+        upper: key_range ? key_range.upper : undefined, upper_open: key_range ? key_range.upperOpen : false,
+      } : {
+        lower: key_range ? key_range.lower : undefined, lower_open: key_range ? key_range.lowerOpen : false,
+        upper: after.key, upper_open: true,
+      });
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = source.openCursor(key_range, direction);
+      const entries = [];
+      let skip = offset;
+      let resuming = resume_with_primary_key;
+
+      request.addEventListener('success', () => {
+        const cursor = request.result;
+
+        if (!cursor || entries.length >= limit) {
+          resolve(entries);
+
+          return;
+        }
+
+        if (resuming) {
+          const position = indexedDB.cmp(cursor.key, after.key) || indexedDB.cmp(cursor.primaryKey, after.primary_key);
+
+          // Move to the previously read entry, then skip it. If it has been deleted, the cursor is already past it
+          if (position === 0) {
+            resuming = false;
+            cursor.continue();
+
+            return;
+          }
+
+          if (forward ? position < 0 : position > 0) {
+            cursor.continuePrimaryKey(after.key, after.primary_key);
+
+            return;
+          }
+
+          resuming = false;
+        }
+
+        if (skip) {
+          cursor.advance(skip);
+          skip = 0;
+
+          return;
+        }
+
+        entries.push({ key: cursor.key, primary_key: cursor.primaryKey, value: cursor.value });
+
+        if (entries.length >= limit) {
+          resolve(entries);
+        } else {
+          cursor.continue();
+        }
+      });
+
+      request.addEventListener('error', () => reject(request.error));
+    });
+  }
+
+  /**
+   * Iterate records asynchronously, so a large store can be processed without loading all the records into memory. The
+   * records are read in batches, each in a new `readonly` transaction, because a transaction cannot be kept open while
+   * the consumer is awaiting something else.
+   * @param {String} name - Name of the object store.
+   * @param {Object} [options] - Query options. See the `read_cursor` function above for details.
+   * @param {Number} [options.batch_size=100] - Number of records to be read in one transaction.
+   * @param {IDBTransaction} [transaction] - Transaction used for all the batches instead of new ones. In this case, the
+   *  consumer should only await operations in the transaction.
+   * @returns {AsyncIterator.<*>} Records.
+   */
+  async * iterate (name, { offset = 0, limit = Infinity, batch_size = 100, ...options } = {},
+                   transaction = undefined) {
+    let count = 0;
+    let after;
+
+    while (count < limit) {
+      const store = (transaction || this.database.transaction(name, 'readonly')).objectStore(name);
+      const size = Math.min(batch_size, limit - count);
+      const entries = await this.read_cursor(store, { ...options, offset: after ? 0 : offset, limit: size, after });
+
+      for (const { value } of entries) {
+        yield value;
+      }
+
+      count += entries.length;
+
+      if (entries.length < size) {
+        break;
+      }
+
+      after = entries[entries.length - 1];
+    }
+  }
+}
+
+/**
+ * Provide in-memory datasource functionalities. The data is lost when the page is closed, so this is useful for tests,
+ * temporary data, or as a fallback when IndexedDB is not available. The store methods have the same interface as
+ * `FlareTail.app.DataSource.IndexedDB`, including indexes declared with the `schema` property. Records should be
+ * cloneable with the structured clone algorithm.
+ * @extends FlareTail.app.DataSource
+ */
+FlareTail.app.DataSource.Memory = class MemoryDataSource extends FlareTail.app.DataSource {
+  /**
+   * Open a database by name, and return it. The stores declared with the `schema` property will be created.
+   * @param {String} name - Name of the database.
+   * @param {Integer} [version] - Database version. If omitted, the latest version in `migrations` or 1 will be used.
+   * @returns {Promise.<Object>} The target database containing `name`, `version` and `stores`.
+   */
+  async open_database (name, version = undefined) {
+    const stores = new Map();
+
+    for (const [store_name, { key_path, auto_increment = false, indexes = {} }] of Object.entries(this.schema || {})) {
+      stores.set(store_name, { name: store_name, key_path, auto_increment, indexes, records: new Map(), last_key: 0 });
+    }
+
+    return this.database = { name, version: version || this.get_latest_version(), stores };
+  }
+
+  /**
+   * Get the names of the stores in the database.
+   * @returns {Array.<String>} Store names.
+   */
+  get_store_names () {
+    return [...this.database.stores.keys()];
+  }
+
+  /**
+   * Get a store in a convenient way. Each write operation is committed immediately.
+   * @param {String} name - Name of the store.
+   * @param {Boolean} [return_request=false] - Not supported. The result is always returned.
+   * @returns {Object} Set of operation methods. See `FlareTail.app.DataSource.IndexedDB.prototype.get_store` for
+   *  details.
+   */
+  get_store (name, return_request = false) {
+    return this.wrap_store(name);
+  }
+
+  /**
+   * Run operations on one or more stores in a single transaction. If the callback throws or the transaction is aborted,
+   * all the changes made in the transaction will be reverted.
+   * @param {(String|Array.<String>)} stores - Name(s) of the stores.
+   * @param {String} mode - `readonly` or `readwrite`.
+   * @param {Function} callback - Function called with a transaction Object containing `get_store(name)` and `abort()`.
+   * @returns {Promise.<*>} Value returned by the callback.
+   */
+  async transaction (stores, mode, callback) {
+    const names = [].concat(stores);
+    // The original records changed in the transaction are kept in `undo`, so they can be restored if the transaction
+    // is aborted. Other records, possibly changed outside the transaction in the meantime, are left untouched
+    const transaction = { mode, names, changes: new Map(), undo: new Map(), finished: false, aborted: false };
+    const revert = () => {
+      transaction.finished = true;
+
+      // The key generator is not reverted, so a key generated outside the transaction won't be reused
+      for (const [name, records] of transaction.undo) {
+        const store = this.get_object_store(name);
+
+        for (const [serialized_key, record] of records) {
+          record ? store.records.set(serialized_key, record) : store.records.delete(serialized_key);
+        }
+      }
+
+      // The changes may have been saved along with a write made outside the transaction
+      if (transaction.undo.size) {
+        this.persist([...transaction.undo.keys()]);
+      }
+    };
+    let result;
+
+    try {
+      result = await callback({
+        obj: transaction,
+        get_store: name => {
+          if (!names.includes(name)) {
+            throw new Error(`The store ${name} is not in the scope of the transaction`);
+          }
+
+          return this.wrap_store(name, transaction);
+        },
+        abort: () => {
+          transaction.aborted = true;
+          revert();
+        },
+      });
+    } catch (ex) {
+      revert();
+
+      throw ex;
+    }
+
+    if (transaction.aborted) {
+      throw new Error('The transaction was aborted');
+    }
+
+    transaction.finished = true;
+    this.commit(transaction);
+
+    return result;
+  }
+
+  /**
+   * Complete write operations by saving the changed stores and notifying the changes.
+   * @param {Object} transaction - Transaction containing store `names` and pending `changes`.
+   */
+  commit ({ names, changes }) {
+    this.persist(names);
+
+    for (const { store, operation, keys } of changes.values()) {
+      this.notify_change(store, operation, keys);
+    }
+  }
+
+  /**
+   * Keep the original records before they are changed in a transaction, so they can be restored if the transaction is
+   * aborted. Only the first change of each record is taken into account.
+   * @param {Object} [transaction] - Transaction the change is made in. If omitted, this does nothing.
+   * @param {Object} store - Internal store object.
+   * @param {Iterable.<String>} serialized_keys - Serialized keys of the records to be changed.
+   */
+  keep_original (transaction, store, serialized_keys) {
+    if (!transaction) {
+      return;
+    }
+
+    if (!transaction.undo.has(store.name)) {
+      transaction.undo.set(store.name, new Map());
+    }
+
+    const records = transaction.undo.get(store.name);
+
+    for (const serialized_key of serialized_keys) {
+      if (!records.has(serialized_key)) {
+        records.set(serialized_key, store.records.get(serialized_key));
+      }
+    }
+  }
+
+  /**
+   * Save the changed stores. This does nothing because the data is only kept in memory, but can be overridden by
+   * persistent backends.
+   * @param {Array.<String>} names - Names of the changed stores.
+   */
+  persist (names) {}
+
+  /**
+   * Get an internal store object.
+   * @param {String} name - Name of the store.
+   * @returns {Object} Store containing `name`, `key_path`, `auto_increment`, `indexes` and `records`.
+   */
+  get_object_store (name) {
+    const store = this.database.stores.get(name);
+
+    if (!store) {
+      throw new Error(`The store ${name} is not found`);
+    }
+
+    return store;
+  }
+
+  /**
+   * Get the operation methods for a store.
+   * @param {String} name - Name of the store.
+   * @param {Object} [transaction] - Transaction the methods are bound to, if any. Otherwise each write operation is
+   *  committed immediately.
+   * @returns {Object} Set of operation methods. See `FlareTail.app.DataSource.IndexedDB.prototype.get_store` for
+   *  details.
+   */
+  wrap_store (name, transaction = undefined) {
+    const store = this.get_object_store(name);
+    const clone = entries => entries.map(({ value }) => structuredClone(value));
+    // Run an operation. `write` is the operation name for write operations
+    const run = async (write, operation, key = undefined) => {
+      if (transaction && transaction.finished) {
+        throw new Error('The transaction has already been finished');
+      }
+
+      if (write && transaction && transaction.mode !== 'readwrite') {
+        throw new Error('The transaction is read-only');
+      }
+
+      const result = operation();
+      const keys = write === 'clear' ? [] : [key === undefined ? result : key];
+
+      if (write && transaction) {
+        this.add_change(transaction.changes, name, write, keys);
+      }
+
+      if (write && !transaction) {
+        this.persist([name]);
+        this.notify_change(name, write, keys);
+      }
+
+      return result;
+    };
+
+    return {
+      obj: { name, keyPath: store.key_path, autoIncrement: store.auto_increment },
+      save: obj => run('save', () => this.put(store, obj, transaction)),
+      get: key => run(false, () => {
+        const record = store.records.get(this.serialize_key(key));
+
+        return record ? structuredClone(record.value) : undefined;
+      }),
+      get_all: () => run(false, () => clone(this.read_records(store))),
+      delete: key => run('delete', () => {
+        const serialized_key = this.serialize_key(key);
+
+        this.keep_original(transaction, store, [serialized_key]);
+        store.records.delete(serialized_key);
+      }, key),
+      clear: () => run('clear', () => {
+        this.keep_original(transaction, store, store.records.keys());
+        store.records.clear();
+      }),
+      query: options => run(false, () => clone(this.read_records(store, options))),
+      count: ({ index, range } = {}) => run(false, () => this.read_records(store, { index, range }).length),
+      iterate: options => this.iterate(name, options, transaction),
+      save_all: (items, options) => this.save_all(name, items, options, transaction),
+    };
+  }
+
+  /**
+   * Save a record in a store.
+   * @param {Object} store - Internal store object.
+   * @param {Object} obj - Record to be saved.
+   * @param {Object} [transaction] - Transaction the record is saved in, if any.
+   * @returns {(String|Number)} Key of the record.
+   */
+  put (store, obj, transaction = undefined) {
+    const value = structuredClone({ ...obj }); // Deproxify the object before saving
+    let key = store.key_path ? this.get_value_by_key_path(value, store.key_path) : undefined;
+
+    if (key === undefined && store.auto_increment) {
+      key = ++store.last_key;
+
+      if (typeof store.key_path === 'string') {
+        value[store.key_path] = key;
+      }
+    }
+
+    if (key === undefined) {
+      throw new Error(`The record cannot be saved in ${store.name} because it doesn’t have a key`);
+    }
+
+    if (typeof key === 'number' && store.auto_increment) {
+      store.last_key = Math.max(store.last_key, Math.floor(key));
+    }
+
+    const serialized_key = this.serialize_key(key);
+
+    this.keep_original(transaction, store, [serialized_key]);
+    store.records.set(serialized_key, { key, value });
+
+    return key;
+  }
+
+  /**
+   * Save many records in a single transaction. Once all the records are saved, the `#Changed` event will be fired once
+   * with the store name, keys and operation.
+   * @param {String} name - Name of the store.
+   * @param {Iterable.<Object>} items - Records to be saved.
+   * @param {Object} [options] - `on_progress` and `signal`. See `FlareTail.app.DataSource.IndexedDB.prototype.save_all`
+   *  for details.
+   * @param {Object} [transaction] - Transaction to be used instead of a new one.
+   * @returns {Promise.<Array.<(String|Number)>>} Keys of the saved records.
+   */
+  async save_all (name, items, { on_progress, signal } = {}, transaction = undefined) {
+    if (!transaction) {
+      return this.transaction(name, 'readwrite', tx => this.save_all(name, items, { on_progress, signal }, tx.obj));
+    }
+
+    const store = this.wrap_store(name, transaction);
+    const keys = [];
+
+    items = [...items];
+
+    for (const item of items) {
+      if (signal && signal.aborted) {
+        throw new Error(`Saving records in ${name} was cancelled`);
+      }
+
+      keys.push(await store.save(item));
+
+      if (typeof on_progress === 'function') {
+        on_progress({ loaded: keys.length, total: items.length });
+      }
+    }
+
+    return keys;
+  }
+
+  /**
+   * Iterate records asynchronously.
+   * @param {String} name - Name of the store.
+   * @param {Object} [options] - Query options. See `FlareTail.app.DataSource.IndexedDB.prototype.read_cursor` for
+   *  details.
+   * @param {Object} [transaction] - Transaction the iteration is bound to, if any.
+   * @returns {AsyncIterator.<*>} Records.
+   */
+  async * iterate (name, options = {}, transaction = undefined) {
+    for (const value of await this.wrap_store(name, transaction).query(options)) {
+      yield value;
+    }
+  }
+
+  /**
+   * Read records in key order.
+   * @param {Object} store - Internal store object.
+   * @param {Object} [options] - Query options: `index`, `range`, `direction`, `offset` and `limit`. See
+   *  `FlareTail.app.DataSource.IndexedDB.prototype.read_cursor` for details.
+   * @returns {Array.<Object>} Entries, each containing `key`, `primary_key` and `value`.
+   */
+  read_records (store, { index, range, direction = 'next', offset = 0, limit = Infinity } = {}) {
+    const bounds = this.get_bounds(range);
+    const compare = (a, b) => this.compare_keys(a.key, b.key) || this.compare_keys(a.primary_key, b.primary_key);
+    let entries = [];
+
+    if (index && !(index in store.indexes)) {
+      throw new Error(`The index ${index} is not found in ${store.name}`);
+    }
+
+    for (const { key, value } of store.records.values()) {
+      for (const index_key of index ? this.get_index_keys(index, store.indexes[index], value) : [key]) {
+        if (this.in_bounds(index_key, bounds)) {
+          entries.push({ key: index_key, primary_key: key, value });
+        }
+      }
+    }
+
+    entries.sort(compare);
+
+    // Like IndexedDB, keep the record with the lowest primary key for each key
+    if (direction.endsWith('unique')) {
+      entries = entries.filter((entry, i) => !i || this.compare_keys(entry.key, entries[i - 1].key));
+    }
+
+    if (direction.startsWith('prev')) {
+      entries.reverse();
+    }
+
+    return entries.slice(offset, offset + limit);
+  }
+
+  /**
+   * Get the index keys of a record.
+   * @param {String} name - Name of the index, used as the key path if not defined.
+   * @param {Object} definition - Index definition in the `schema`, containing `key_path` and `multi_entry`.
+   * @param {Object} value - Record.
+   * @returns {Array.<*>} Index keys. Empty if the record is not indexed.
+   */
+  get_index_keys (name, { key_path = name, multi_entry = false }, value) {
+    const key = this.get_value_by_key_path(value, key_path);
+
+    if (key === undefined) {
+      return [];
+    }
+
+    return multi_entry && Array.isArray(key) ? [...new Set(key)] : [key];
+  }
+
+  /**
+   * Get a value from a record by key path.
+   * @param {Object} value - Record.
+   * @param {(String|Array.<String>)} key_path - Key path like `id` or `creator.email`, or an Array of them.
+   * @returns {*} Key, or `undefined` if not found.
+   */
+  get_value_by_key_path (value, key_path) {
+    if (Array.isArray(key_path)) {
+      const keys = key_path.map(path => this.get_value_by_key_path(value, path));
+
+      return keys.includes(undefined) ? undefined : keys;
+    }
+
+    return key_path.split('.').reduce((obj, prop) => obj === undefined || obj === null ? undefined : obj[prop], value);
+  }
+
+  /**
+   * Get a string representation of a key, used to look up records.
+   * @param {*} key - Key.
+   * @returns {String} Serialized key.
+   */
+  serialize_key (key) {
+    return JSON.stringify(key instanceof Date ? { date: key.getTime() } : key);
+  }
+
+  /**
+   * Compare two keys in the same order as IndexedDB: numbers, dates, strings, then arrays.
+   * @param {*} a - Key.
+   * @param {*} b - Key.
+   * @returns {Number} `-1`, `0` or `1`.
+   */
+  compare_keys (a, b) {
+    const rank = key => typeof key === 'number' ? 0 : key instanceof Date ? 1 : typeof key === 'string' ? 2 : 3;
+
+    if (rank(a) !== rank(b)) {
+      return rank(a) < rank(b) ? -1 : 1;
+    }
+
+    if (Array.isArray(a)) {
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const result = this.compare_keys(a[i], b[i]);
+
+        if (result) {
+          return result;
+        }
+      }
+
+      return Math.sign(a.length - b.length);
+    }
+
+    [a, b] = [a, b].map(key => key instanceof Date ? key.getTime() : key);
+
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+
+  /**
+   * Get the bounds from a range specification.
+   * @param {*} [range] - Key range. See `FlareTail.app.DataSource.IndexedDB.prototype.get_key_range` for details.
+   * @returns {Object} Bounds containing `lower`, `upper`, `lower_open` and `upper_open`, or `undefined` if all the
+   *  records should be selected.
+   */
+  get_bounds (range = undefined) {
+    if (range === undefined) {
+      return undefined;
+    }
+
+    if (typeof IDBKeyRange !== 'undefined' && range instanceof IDBKeyRange) {
+      const { lower, upper, lowerOpen: lower_open, upperOpen: upper_open } = range;
+
+      return { lower, upper, lower_open, upper_open };
+    }
+
+    if (typeof range !== 'object' || Array.isArray(range) || range instanceof Date) {
+      return { lower: range, upper: range, lower_open: false, upper_open: false };
+    }
+
+    const { only, lower, upper, lower_open = false, upper_open = false } = range;
+
+    if (only !== undefined) {
+      return { lower: only, upper: only, lower_open: false, upper_open: false };
+    }
+
+    return { lower, upper, lower_open, upper_open };
+  }
+
+  /**
+   * Check if a key is within bounds.
+   * @param {*} key - Key.
+   * @param {Object} [bounds] - Bounds returned by `get_bounds`.
+   * @returns {Boolean} Whether the key is within the bounds.
+   */
+  in_bounds (key, bounds = undefined) {
+    if (!bounds) {
+      return true;
+    }
+
+    const { lower, upper, lower_open, upper_open } = bounds;
+    const lower_result = lower === undefined ? 1 : this.compare_keys(key, lower);
+    const upper_result = upper === undefined ? -1 : this.compare_keys(key, upper);
+
+    return (lower_open ? lower_result > 0 : lower_result >= 0) && (upper_open ? upper_result < 0 : upper_result <= 0);
+  }
+}
+
+/**
+ * Provide Web Storage datasource functionalities. Each store is saved in `localStorage` as JSON, so this is suitable
+ * for small data like preferences, or as a persistent fallback when IndexedDB is not available. Records should be
+ * serializable with `JSON.stringify`, and migrations declared with the `migrations` property are run when the database
+ * is opened with a newer version. See `FlareTail.app.DataSource.Memory` for the other functionalities.
+ * @extends FlareTail.app.DataSource.Memory
+ */
+FlareTail.app.DataSource.WebStorage = class WebStorageDataSource extends FlareTail.app.DataSource.Memory {
+  /**
+   * Get a WebStorageDataSource instance.
+   * @param {String} [id] - Unique instance identifier. See `FlareTail.app.Event` for details.
+   * @param {Storage} [storage=localStorage] - Storage to be used, like `sessionStorage`.
+   * @returns {WebStorageDataSource}
+   */
+  constructor (id = undefined, storage = window.localStorage) {
+    super(id);
+    this.storage = storage;
+  }
+
+  /**
+   * Open a database by name, load the saved data, and return the database.
+   * @param {String} name - Name of the database.
+   * @param {Integer} [version] - Database version. If omitted, the latest version in `migrations` or 1 will be used.
+   * @returns {Promise.<Object>} The target database containing `name`, `version` and `stores`.
+   */
+  async open_database (name, version = undefined) {
+    const database = await super.open_database(name, version);
+    const { version: old_version = 0 } = JSON.parse(this.storage.getItem(this.get_storage_key()) || '{}');
+
+    if (old_version > database.version) {
+      throw new Error(`The database ${name} is newer than version ${database.version}`);
+    }
+
+    for (const store of database.stores.values()) {
+      for (const [key, value] of JSON.parse(this.storage.getItem(this.get_storage_key(store.name)) || '[]')) {
+        store.records.set(this.serialize_key(key), { key, value });
+
+        if (typeof key === 'number') {
+          store.last_key = Math.max(store.last_key, Math.floor(key));
+        }
+      }
+    }
+
+    for (const [version, { transform = {} }] of this.get_migrations(old_version, database.version)) {
+      for (const [store_name, func] of Object.entries(transform)) {
+        const store = this.get_object_store(store_name);
+
+        for (const [serialized_key, record] of [...store.records]) {
+          const value = this.transform_record(record.value, func);
+
+          value === null ? store.records.delete(serialized_key) : record.value = value;
+        }
+      }
+
+      if (FlareTail.debug) {
+        console.info(`[WebStorageDataSource] ${name} has been migrated to version ${version}`);
+      }
+    }
+
+    this.storage.setItem(this.get_storage_key(), JSON.stringify({ version: database.version }));
+    this.persist([...database.stores.keys()]);
+
+    return database;
+  }
+
+  /**
+   * Save the changed stores in the storage.
+   * @param {Array.<String>} names - Names of the changed stores.
+   */
+  persist (names) {
+    for (const name of names) {
+      const records = [...this.get_object_store(name).records.values()].map(({ key, value }) => [key, value]);
+
+      this.storage.setItem(this.get_storage_key(name), JSON.stringify(records));
+    }
   }
 
   /**
-   * Find a route usually by the URL. If found, create a new instance of the corresponding view. If not found, the
-   * specified pathname is invalid, so navigate to the app's launch path instead.
-   * @param {String} [path=location.pathname] - URL pathname used to find a route.
-   * @returns {Object} A view instance if found.
+   * Get the storage key for the database or a store.
+   * @param {String} [store_name] - Name of the store. If omitted, the key for the database information will be
+   *  returned.
+   * @returns {String} Storage key like `flaretail-db/bugs` or `flaretail-db/bugs/prefs`.
    */
-  locate (path = location.pathname) {
-    for (const [pattern, { view, catch_all, map }] of Object.entries(this.routes)) {
-      const match = path.match(new RegExp(`^${this.root}${pattern}$`));
-      let instance;
+  get_storage_key (store_name = undefined) {
+    return ['flaretail-db', this.database.name, store_name].filter(str => str !== undefined).join('/');
+  }
+}
 
-      if (match) {
-        const args = match.slice(1).map(arg => isNaN(arg) ? arg : Number(arg));
+/**
+ * Provide remote REST API datasource functionalities with a local cache. Records are read through the cache, which is
+ * refreshed from the API when stale. Writes are applied to the cache immediately and queued in an outbox store, then
+ * sent to the API in order, so the app keeps working offline. Queued writes are replayed with exponential backoff, and
+ * when the connection comes back. The `#SyncStatus` event is fired with `status` (`syncing`, `synced`, `offline` or
+ * `error`) and `pending` (the number of queued writes) whenever the status changes, and the `#SyncError` event is
+ * fired when a write is rejected by the API. By default, the API is expected to support `GET /{store}`,
+ * `GET /{store}/{key}`, `PUT /{store}/{key}` and `DELETE /{store}/{key}`; override `get_url` and `parse_response` for
+ * other APIs.
+ * @extends FlareTail.app.DataSource
+ * @example
+ *  ```js
+ *  const datasource = new FlareTail.app.DataSource.Remote(undefined, { endpoint: 'https://example.com/api' });
+ *
+ *  datasource.schema = { bugs: { key_path: 'id' } };
+ *  // The remote data wins by default; merge the local changes instead
+ *  datasource.resolve_conflict = ({ local, remote }) => Object.assign({}, remote, local);
+ *  datasource.on('#SyncStatus', ({ status, pending }) => update_indicator(status, pending), true);
+ *  await datasource.open_database('bugs');
+ *  ```
+ */
+FlareTail.app.DataSource.Remote = class RemoteDataSource extends FlareTail.app.DataSource {
+  /**
+   * Get a RemoteDataSource instance.
+   * @param {String} [id] - Unique instance identifier. See `FlareTail.app.Event` for details.
+   * @param {Object} [options]
+   * @param {String} options.endpoint - Base URL of the API, without a trailing slash.
+   * @param {FlareTail.app.DataSource} [options.cache] - Local datasource used as the cache and outbox. The default is
+   *  a new `FlareTail.app.DataSource.IndexedDB`, which falls back to memory if IndexedDB is not available.
+   * @param {Number} [options.max_age=300000] - Milliseconds a cached record is considered fresh. `0` means the API is
+   *  always queried, and `Infinity` means the API is only queried for records not cached yet.
+   * @param {Boolean} [options.stale_if_error=true] - Whether stale records are returned if the API cannot be reached.
+   * @param {Number} [options.retry_interval=5000] - Milliseconds to wait before the first retry of a failed write. The
+   *  interval is doubled for each retry.
+   * @param {Number} [options.max_retry_interval=300000] - Maximum milliseconds to wait before a retry.
+   * @returns {RemoteDataSource}
+   */
+  constructor (id = undefined, { endpoint, cache = new FlareTail.app.DataSource.IndexedDB(), max_age = 300000,
+                                 stale_if_error = true, retry_interval = 5000, max_retry_interval = 300000 } = {}) {
+    super(id);
 
-        if (map) {
-          // Find an existing instance from the map
-          instance = catch_all ? [...map.values()][0] : map.get(path);
-        } else {
-          this.routes[pattern].map = new Map();
-        }
+    Object.assign(this, { endpoint, cache, max_age, stale_if_error, retry_interval, max_retry_interval });
+    // Internal stores for the queued writes and the last fetched times
+    this.outbox_store = 'flaretail-outbox';
+    this.fetched_store = 'flaretail-fetched';
+    this.status = undefined;
+    // Fire the cache's events as this instance
+    cache.trigger = (topic, data, options) => this.trigger(topic, data, options);
+  }
 
-        if (instance) {
-          if (FlareTail.debug) {
-            console.info(`[Router] Reactivating to an existing ${view.name} instance for ${path}`);
-          }
+  /**
+   * Whether the browser is online.
+   * @member {Boolean}
+   */
+  get online () {
+    return window.navigator.onLine !== false;
+  }
 
-          if (instance.reactivate) {
-            instance.reactivate(...args);
-          }
-        } else {
-          if (FlareTail.debug) {
-            console.info(`[Router] Creating a new ${view.name} instance for ${path}`);
-          }
+  /**
+   * Open the cache database, and start replaying the writes queued in the previous session. The outbox stores are
+   * added to the `schema`, so the database version should be bumped when a cache is newly used with this class.
+   * @param {String} name - Name of the cache database.
+   * @param {Integer} [version] - Database version. If omitted, the latest version in `migrations` or 1 will be used.
+   * @returns {Promise.<Object>} The cache database.
+   */
+  async open_database (name, version = undefined) {
+    this.cache.schema = Object.assign({}, this.schema, {
+      [this.outbox_store]: { key_path: 'id', auto_increment: true },
+      [this.fetched_store]: { key_path: 'key' },
+    });
+    this.cache.migrations = this.migrations;
+    this.database = await this.cache.open_database(name, version);
 
-          // Call the constructor when a route is found
-          // Pass arguments based on the RegExp pattern, taking numeric arguments into account
-          instance = new view(...args);
-          this.routes[pattern].map.set(path, instance);
-        }
+    window.addEventListener('online', () => this.flush());
+    window.addEventListener('offline', () => this.update_status('offline'));
+    this.flush();
 
-        return instance;
-      }
-    }
+    return this.database;
+  }
 
-    if (FlareTail.debug) {
-      console.info(`[Router] A route for ${path} could not be found`);
-    }
+  /**
+   * Get a store in a convenient way. `get` and `get_all` read through the cache, `save`, `save_all` and `delete` write
+   * to the cache and queue the changes, while `query`, `count` and `iterate` only read the cache. `clear` only clears
+   * the cache.
+   * @param {String} name - Name of the store.
+   * @returns {Object} Set of operation methods. See `FlareTail.app.DataSource.IndexedDB.prototype.get_store` for
+   *  details.
+   */
+  get_store (name) {
+    return this.wrap_store(name);
+  }
 
-    // Couldn't find a route; go to the launch path
-    this.navigate(this.launch_path);
+  /**
+   * Run operations on one or more stores in a single cache transaction. Reads only use the cache, and writes are
+   * queued once the transaction is completed.
+   * @param {(String|Array.<String>)} stores - Name(s) of the stores.
+   * @param {String} mode - `readonly` or `readwrite`.
+   * @param {Function} callback - Function called with a transaction Object. See
+   *  `FlareTail.app.DataSource.IndexedDB.prototype.transaction` for details.
+   * @returns {Promise.<*>} Value returned by the callback.
+   */
+  async transaction (stores, mode, callback) {
+    const result = await this.cache.transaction([].concat(stores, this.outbox_store), mode, tx => callback(
+      Object.assign({}, tx, { get_store: name => this.wrap_store(name, tx) })
+    ));
 
-    return undefined;
+    if (mode === 'readwrite') {
+      this.flush();
+    }
+
+    return result;
   }
 
   /**
-   * Navigate to the specified URL pathname by manipulating the browser history.
-   * @param {String} path - URL pathname to go.
-   * @param {Object} [state={}] - History state object.
-   * @param {Boolean} [replace=false] - If `true`, the current history state will be replaced, otherwise appended.
+   * Get the operation methods for a store.
+   * @param {String} name - Name of the store.
+   * @param {Object} [transaction] - Cache transaction the methods are bound to, if any.
+   * @returns {Object} Set of operation methods. See the `get_store` function above for details.
    */
-  navigate (path, state = {}, replace = false) {
-    state.previous = replace && history.state && history.state.previous ? history.state.previous : location.pathname;
+  wrap_store (name, transaction = undefined) {
+    const local = () => (transaction || this.cache).get_store(name);
+    // Save the change and the queue entry atomically
+    const write = async callback => {
+      if (transaction) {
+        return callback(transaction);
+      }
 
-    const args = [state, 'Loading...', this.root + path]; // l10n
+      const result = await this.cache.transaction([name, this.outbox_store], 'readwrite', callback);
 
-    replace ? history.replaceState(...args) : history.pushState(...args);
-    window.dispatchEvent(new PopStateEvent('popstate'));
+      this.flush();
 
-    if (FlareTail.debug) {
-      console.info(replace ? 'History replaced:' : 'History added:', path, state);
+      return result;
+    };
+    const enqueue = (tx, operation, keys, values = []) => {
+      const entries = keys.map((key, i) => ({ store: name, key, operation, value: values[i], attempts: 0 }));
+
+      return tx.get_store(this.outbox_store).save_all(entries);
+    };
+
+    return {
+      get obj () { // Cache store
+        return local().obj;
+      },
+      get: key => this.read(name, key, transaction),
+      get_all: () => this.read(name, undefined, transaction),
+      query: options => local().query(options),
+      count: options => local().count(options),
+      iterate: options => local().iterate(options),
+      save: obj => write(async tx => {
+        const key = await tx.get_store(name).save(obj);
+
+        await enqueue(tx, 'save', [key], [{ ...obj }]);
+
+        return key;
+      }),
+      save_all: (items, options) => write(async tx => {
+        items = [...items].map(item => ({ ...item }));
+
+        const keys = await tx.get_store(name).save_all(items, options);
+
+        await enqueue(tx, 'save', keys, items);
+
+        return keys;
+      }),
+      delete: key => write(async tx => {
+        await tx.get_store(name).delete(key);
+        await enqueue(tx, 'delete', [key]);
+      }),
+      clear: () => local().clear(),
+    };
+  }
+
+  /**
+   * Import a backup created with `export` into the cache only. Unlike other writes, the records are not queued, so the
+   * API data won't be overwritten. They will be replaced with the remote records once the cache becomes stale.
+   * @param {(Blob|String)} source - Backup file or its content, in JSON or NDJSON.
+   * @param {Object} [options] - `mode`. See `FlareTail.app.DataSource.prototype.import` for details.
+   * @returns {Promise.<Object>} Result containing `version` of the backup and `stores`, whose key is a store name and
+   *  value is the number of imported records. The promise will be rejected if the backup is invalid.
+   */
+  async import (source, options = {}) {
+    const text = typeof source === 'string' ? source : await source.text();
+    const { stores } = this.parse_backup(text);
+
+    // The internal stores are not exported, and importing the outbox would send the records to the API
+    for (const name of [this.outbox_store, this.fetched_store]) if (name in stores) {
+      throw new Error(`The backup cannot be imported: the store ${name} doesn’t exist`);
     }
+
+    return this.cache.import(text, options);
   }
-}
 
-/**
- * Provide app event functionalities. This is the base class of other app framework classes.
- */
-FlareTail.app.Event = class _Event {
   /**
-   * Activate an instance. This should be called by all the derived classes using `super()`.
-   * @param {String} [id] - Unique instance identifier. If omitted, a random 7-character hash will be assigned. A View
-   *  and the corresponding Presenter as well as its sub-Views/Presenters should share the same `id`, otherwise their
-   *  communication through events won't work.
-   * @returns {Events} New Events instance.
+   * Read a record or all the records through the cache. The API is queried if the cache is stale, unless the records
+   * have changes not sent yet, which are kept.
+   * @param {String} name - Name of the store.
+   * @param {(String|Number)} [key] - Key of the record. If omitted, all the records will be read.
+   * @param {Object} [transaction] - Cache transaction. If specified, only the cache is read because the transaction
+   *  cannot be kept open while the API is queried.
+   * @returns {Promise.<(Object|Array.<Object>)>} Record(s).
    */
-  constructor (id) {
-    this.id = id || FlareTail.util.Misc.hash(7, true);
+  async read (name, key = undefined, transaction = undefined) {
+    const all = key === undefined;
+    const store = (transaction || this.cache).get_store(name);
+    const cached = all ? await store.get_all() : await store.get(key);
+
+    if (transaction || !this.online || (all || cached !== undefined) && await this.is_fresh(name, key)) {
+      return cached;
+    }
+
+    let data;
+
+    try {
+      data = this.parse_response(name, await this.send('GET', this.get_url(name, key)), key);
+    } catch (ex) {
+      if (ex.status === 404 && !all) {
+        data = undefined;
+      } else if (this.stale_if_error) {
+        if (FlareTail.debug) {
+          console.warn(`[RemoteDataSource] Failed to fetch ${name}; using the cache`, ex);
+        }
+
+        return cached;
+      } else {
+        throw ex;
+      }
+    }
+
+    return this.cache.transaction([name, this.outbox_store, this.fetched_store], 'readwrite', async tx => {
+      const store = tx.get_store(name);
+      const key_path = store.obj.keyPath;
+      const entries = await tx.get_store(this.outbox_store).get_all();
+      const pending = new Set(entries.filter(entry => entry.store === name).map(entry => JSON.stringify(entry.key)));
+      const is_pending = key => pending.has(JSON.stringify(key));
+      const records = all ? data : data === undefined ? [] : [data];
+      const keys = new Set(records.map(record => JSON.stringify(record[key_path])));
+
+      // Remove the records deleted on the server
+      for (const _key of all ? (await store.get_all()).map(record => record[key_path]) : [key]) {
+        if (!keys.has(JSON.stringify(_key)) && !is_pending(_key)) {
+          await store.delete(_key);
+        }
+      }
+
+      for (const record of records) if (!is_pending(record[key_path])) {
+        await store.save(record);
+      }
+
+      await tx.get_store(this.fetched_store).save({ key: this.get_fetched_key(name, key), time: Date.now() });
+
+      return all ? store.get_all() : store.get(key);
+    });
   }
 
   /**
-   * Publish an event asynchronously.
-   * @param {String} topic - An event name. Shorthand syntax is supported: `#Updated` in `BugModel` means
-   *  `BugModel#Updated`, `#Error` in `SessionPresenter` means `SessionPresenter#Error`, and so on.
-   * @param {Object} [data={}] - Data to pass the subscribers. If the instance has set the id property, that id will be
-   *  automatically appended to the data. Note that the data will be cloned. `Proxy` will be automatically deproxified
-   *  before being posted but complex objects like `Error` or `URLSearchParams` cannot be transferred and throw. See the
-   *  following MDN document for details.
-   * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/Web_Workers_API/Structured_clone_algorithm MDN}
+   * Check if the cache of a record or all the records is fresh according to `max_age`.
+   * @param {String} name - Name of the store.
+   * @param {(String|Number)} [key] - Key of the record. If omitted, the cache of all the records will be checked.
+   * @returns {Promise.<Boolean>} Whether the cache is fresh.
    */
-  trigger (topic, data = {}) {
-    topic = topic.match(/^#/) ? this.constructor.name + topic : topic;
-    data = { ...data };
+  async is_fresh (name, key = undefined) {
+    const store = this.cache.get_store(this.fetched_store);
+    // Fetching all the records also refreshes each record
+    const times = await Promise.all([
+      store.get(this.get_fetched_key(name)),
+      key === undefined ? undefined : store.get(this.get_fetched_key(name, key)),
+    ]);
+    const fetched_times = times.filter(fetched => fetched).map(fetched => fetched.time);
+
+    // Never fetched: not cached yet, even if `max_age` is `Infinity`
+    if (!fetched_times.length) {
+      return false;
+    }
 
-    (new BroadcastChannel(topic)).postMessage({ id: this.id, data });
+    return Date.now() - Math.max(...fetched_times) < this.max_age;
+  }
 
-    if (FlareTail.debug) {
-      console.info('[Event]', topic, this.id, data);
+  /**
+   * Get the key used to save the last fetched time.
+   * @param {String} name - Name of the store.
+   * @param {(String|Number)} [key] - Key of the record.
+   * @returns {String} Key.
+   */
+  get_fetched_key (name, key = undefined) {
+    return key === undefined ? name : `${name}/${JSON.stringify(key)}`;
+  }
+
+  /**
+   * Send the queued writes to the API in order. If a write fails because of a network or server error, the replay will
+   * be retried later. If the API rejects a write, the `#SyncError` event will be fired and the write will be dropped.
+   * The cache is marked as stale in that case, so the remote record will be fetched next time.
+   * @returns {Promise.<undefined>} Resolved when the replay is done or postponed.
+   */
+  async flush () {
+    if (!this.flushing) {
+      this.flushing = this.replay().then(() => this.flushing = undefined, ex => {
+        this.flushing = undefined;
+        console.error('[RemoteDataSource] Failed to replay the queued writes', ex);
+      });
     }
+
+    return this.flushing;
   }
 
   /**
-   * Subscribe an event.
-   * @param {String} topic - Event name. Shorthand syntax is supported: `M#Updated` in `BugView` means
-   *  `BugModel#Updated`, `V#AppMenuItemSelected` in `ToolbarPresenter` means `ToolbarView#AppMenuItemSelected`, and so
-   *  on.
-   * @param {Function} callback - Function called whenever the specified event is fired.
-   * @param {Boolean} [global=false] - If `true`, the callback function will be fired even when the event detail object
-   *  and the instance have different `id` properties. Otherwise, the identity will be respected.
+   * Replay the queued writes. This is called by `flush`.
+   * @returns {Promise.<undefined>}
    */
-  on (topic, callback, global = false) {
-    topic = topic.replace(/^([MVP])#/, (match, prefix) => {
-      return this.constructor.name.match(/(.*)(Model|View|Presenter)$/)[1]
-              + { M: 'Model', V: 'View', P: 'Presenter' }[prefix] + '#';
-    });
+  async replay () {
+    const outbox = this.cache.get_store(this.outbox_store);
 
-    (new BroadcastChannel(topic)).addEventListener('message', event => {
-      if (global || event.data.id === this.id) {
-        callback(event.data.data);
+    window.clearTimeout(this.retry_timer);
+
+    let [entry] = await outbox.query({ limit: 1 });
+
+    while (entry) {
+      if (!this.online) {
+        await this.update_status('offline');
+
+        return;
       }
-    });
+
+      await this.update_status('syncing');
+
+      try {
+        await this.push(entry);
+      } catch (ex) {
+        const { store, key, operation } = entry;
+
+        // Client errors, except timeouts and rate limiting, won't be solved by retrying
+        if (ex.status >= 400 && ex.status < 500 && ![408, 429].includes(ex.status)) {
+          const fetched = this.cache.get_store(this.fetched_store);
+
+          // The cache still has the rejected change, so fetch the record and the store next time
+          await fetched.delete(this.get_fetched_key(store, key));
+          await fetched.delete(this.get_fetched_key(store));
+          this.trigger('#SyncError', { store, key, operation, status: ex.status, message: ex.message });
+        } else {
+          const delay = Math.min(this.retry_interval * 2 ** entry.attempts, this.max_retry_interval);
+
+          entry.attempts++;
+          await outbox.save(entry);
+          this.retry_timer = window.setTimeout(() => this.flush(), delay);
+          await this.update_status('error');
+
+          return;
+        }
+      }
+
+      await outbox.delete(entry.id);
+      [entry] = await outbox.query({ limit: 1 });
+    }
+
+    await this.update_status('synced');
   }
 
   /**
-   * Subscribe an event with an automatically determined callback. So this is the `on` function's shorthand. For
-   * example, if the `topic` is `V#NavigationRequested`, `on_navigation_requested` will be set as the callback function.
-   * @param {String} topic - See the `on` function above for details.
-   * @param {Boolean} [global=false] - See the `on` function above for details.
+   * Send a queued write to the API. If the API responds with `409 Conflict` or `412 Precondition Failed`, the
+   * `resolve_conflict` function is called with the remote record, and the result is applied.
+   * @param {Object} entry - Queued write containing `store`, `key`, `operation` (`save` or `delete`) and `value`.
+   * @returns {Promise.<undefined>}
    */
-  subscribe (topic, global = false) {
-    const method_name = topic.replace(/^.+?\#/, 'on').replace(/([A-Z])/g, '_$1').toLowerCase();
+  async push ({ store, key, operation, value }) {
+    const url = this.get_url(store, key);
+    const send = value => value === undefined ? this.send('DELETE', url) : this.send('PUT', url, value);
 
-    this.on(topic, data => {
-      if (typeof this[method_name] === 'function') {
-        this[method_name](data);
+    try {
+      await send(operation === 'delete' ? undefined : value);
+    } catch (ex) {
+      if (![409, 412].includes(ex.status)) {
+        throw ex;
+      }
+
+      const remote = await this.send('GET', url).then(data => this.parse_response(store, data, key), () => undefined);
+      const resolved = await this.resolve_conflict({ store, key, operation, local: value, remote });
+      const cache = this.cache.get_store(store);
+
+      if (resolved === null || resolved === undefined) {
+        // Discard the local change
+        await (remote === undefined ? cache.delete(key) : cache.save(remote));
       } else {
-        throw new TypeError(`${this.constructor.name}.prototype.${method_name} is not a function`);
+        await cache.save(resolved);
+        await send(resolved);
       }
-    }, global);
+    }
+
+    // The server may have updated the record, so fetch it next time
+    await this.cache.get_store(this.fetched_store).delete(this.get_fetched_key(store, key));
   }
-}
 
-/**
- * Provide app datasource functionalities.
- * @extends FlareTail.app.Event
- */
-FlareTail.app.DataSource = class DataSource extends FlareTail.app.Event {}
+  /**
+   * Resolve a conflict between a local change and the remote record. The default implementation discards the local
+   * change. Override or replace this function to merge the changes.
+   * @param {Object} conflict - Conflict details.
+   * @param {String} conflict.store - Name of the store.
+   * @param {(String|Number)} conflict.key - Key of the record.
+   * @param {String} conflict.operation - `save` or `delete`.
+   * @param {Object} [conflict.local] - Record saved locally. `undefined` if deleted.
+   * @param {Object} [conflict.remote] - Record on the server. `undefined` if deleted or cannot be fetched.
+   * @returns {(Object|Promise.<Object>)} Record to be saved on the server, or `null` to discard the local change.
+   */
+  resolve_conflict ({ store, key, operation, local, remote }) {
+    return null;
+  }
 
-/**
- * Provide IndexedDB datasource functionalities.
- * @extends FlareTail.app.DataSource
- */
-FlareTail.app.DataSource.IndexedDB = class IDBDataSource extends FlareTail.app.DataSource {
   /**
-   * Open a local IndexedDB database by name, and return it.
-   * @param {String} name - Name of the database.
-   * @param {Integer} version - Database version.
-   * @returns {Promise.<(IDBDatabase|Error)>} The target database.
+   * Fire the `#SyncStatus` event if the status or the number of queued writes has changed.
+   * @param {String} status - `syncing`, `synced`, `offline` or `error`.
+   * @returns {Promise.<undefined>}
    */
-  async open_database (name, version = 1) {
-    const request = indexedDB.open(name, version);
+  async update_status (status) {
+    const pending = await this.cache.get_store(this.outbox_store).count();
 
-    return new Promise((resolve, reject) => {
-      // Create object stores when the database is created or upgraded
-      request.addEventListener('upgradeneeded', event => {
-        if (typeof this.onupgradeneeded === 'function') {
-          this.onupgradeneeded(event);
-        }
-      }, { once: true });
+    if (this.status !== status || this.pending !== pending) {
+      Object.assign(this, { status, pending });
+      this.trigger('#SyncStatus', { status, pending });
+    }
+  }
 
-      request.addEventListener('success', event => {
-        this.database = event.target.result;
-        resolve(event.target.result);
-      }, { once: true });
+  /**
+   * Get the API URL for a store or a record.
+   * @param {String} name - Name of the store.
+   * @param {(String|Number)} [key] - Key of the record.
+   * @returns {String} URL.
+   */
+  get_url (name, key = undefined) {
+    return [this.endpoint, name, key].filter(str => str !== undefined).map(String)
+                                     .map((str, i) => i ? encodeURIComponent(str) : str).join('/');
+  }
 
-      request.addEventListener('error', event => {
-        reject(new Error('Failed to open the database. \
-                          Make sure you’re not using private browsing mode or IndexedDB doesn’t work.'))
-      }, { once: true });
-    });
+  /**
+   * Get record(s) from an API response. Override this function if the API wraps the data, like `{ bugs: [...] }`.
+   * @param {String} name - Name of the store.
+   * @param {*} data - Decoded response.
+   * @param {(String|Number)} [key] - Key of the record. `undefined` if all the records have been fetched.
+   * @returns {(Object|Array.<Object>)} Record, or an Array of records if the `key` is `undefined`.
+   */
+  parse_response (name, data, key = undefined) {
+    return data;
   }
 
   /**
-   * Get a IndexedDB store in a convenient way.
-   * @param {String} name - Name of the object store.
-   * @param {Boolean} [return_request=false] - If `true`, operation methods return an `IDBRequest` instead of the result
-   *  `Array`.
-   * @returns {Object} Set of operation methods that return a `Promise`.
+   * Send a request to the API, and decode the response JSON.
+   * @param {String} method - HTTP method.
+   * @param {String} url - URL.
+   * @param {Object} [body] - Data to be sent as JSON.
+   * @returns {Promise.<*>} Decoded response, or `undefined` if the response is empty. If the response status is not
+   *  successful, the promise will be rejected with an `Error` having the `status` property.
    */
-  get_store (name, return_request = false) {
-    const store = this.database.transaction(name, 'readwrite').objectStore(name);
-    const send = request => new Promise((resolve, reject) => {
-      request.addEventListener('success', event => resolve(return_request ? event.target : event.target.result));
-      request.addEventListener('error', event => reject(event.target.error));
-    });
+  async send (method, url, body = undefined) {
+    const response = await window.fetch(new Request(url, {
+      method,
+      headers: new Headers({ Accept: 'application/json', 'Content-Type': 'application/json' }),
+      body: body === undefined ? undefined : JSON.stringify(body),
+    }));
 
-    return {
-      obj: store, // IDBObjectStore
-      save: obj => send(store.put({ ...obj })), // Deproxify the object before saving
-      get: key => send(store.get(key)),
-      get_all: () => send(store.getAll()),
-      delete: key => send(store.delete(key)),
-      clear: () => send(store.clear()),
-    };
+    if (!response.ok) {
+      throw Object.assign(new Error(`${method} ${url} failed with status ${response.status}`), {
+        status: response.status,
+      });
+    }
+
+    const text = await response.text();
+
+    return text ? JSON.parse(text) : undefined;
   }
 }
 
@@ -328,25 +4306,93 @@ FlareTail.app.Collection = class Collection extends FlareTail.app.Event {
     const store = this.datasource.get_store(this.store_name);
     const items = await store.get_all();
 
-    this.map = new Map(items.map(item => {
-      const key = item[store.obj.keyPath];
-      let value;
+    this.map = new Map(items.map(item => [item[store.obj.keyPath], this.get_value(item)]));
+
+    return Promise.resolve(this.map);
+  }
+
+  /**
+   * Get the value to be cached in the `map` for a stored item.
+   * @param {Object} item - Raw data object from the database.
+   * @returns {*} Model instance, value of simple key-value data, or the object as is.
+   */
+  get_value (item) {
+    if (this.model) {
+      // Get a new instance
+      return new this.model(item);
+    }
+
+    if (this.store_type === 'simple') {
+      // Use the value only
+      return item.value;
+    }
+
+    // Use the object as is
+    return item;
+  }
+
+  /**
+   * Keep the cached items up to date with the changes made in other tabs or workers, by listening to the datasource's
+   * `#Changed` events. The `#Updated` event will be fired once the changes are applied.
+   * @returns {Function} Function to stop syncing.
+   */
+  sync () {
+    return this.on(`${this.datasource.constructor.name}#Changed`, data => this.apply_change(data), true);
+  }
+
+  /**
+   * Apply a change made in another context to the cached items, by reading the changed items from the datasource.
+   * Existing model instances are updated in place, so references to them remain valid.
+   * @param {Object} change - Change notified by the datasource.
+   * @param {String} change.store - Name of the store.
+   * @param {String} change.operation - `save`, `delete` or `clear`.
+   * @param {Array.<(String|Number)>} change.keys - Keys of the changed items.
+   * @param {String} change.origin - Context identifier of the change.
+   * @returns {Promise.<undefined>}
+   */
+  async apply_change ({ store, operation, keys, origin }) {
+    // The changes made in this context have already been applied
+    if (store !== this.store_name || origin === FlareTail.app.DataSource.origin || !this.map) {
+      return;
+    }
+
+    if (operation === 'clear') {
+      this.map.clear();
+    }
+
+    // Read all the changed items in a single transaction. Only read the local data, even if the datasource is remote
+    const items = await this.datasource.transaction(this.store_name, 'readonly', async tx => {
+      const store = tx.get_store(this.store_name);
+
+      // Read the whole store at once if many items have been changed, like after a bulk save
+      if (keys.length > 100) {
+        const key_path = store.obj.keyPath;
+        const records = new Map((await store.query()).map(record => [JSON.stringify(record[key_path]), record]));
+
+        return keys.map(key => records.get(JSON.stringify(key)));
+      }
+
+      return Promise.all(keys.map(async key => (await store.query({ range: key, limit: 1 }))[0]));
+    });
+
+    for (const [index, key] of keys.entries()) {
+      const item = items[index];
+      const value = this.map.get(key);
 
-      if (this.model) {
-        // Get a new instance
-        value = new this.model(item);
-      } else if (this.store_type === 'simple') {
-        // Use the value only
-        value = item.value;
+      if (item === undefined) {
+        this.map.delete(key);
+      } else if (this.model && value) {
+        value.cache(item);
       } else {
-        // Use the object as is
-        value = item;
+        this.map.set(key, this.get_value(item));
       }
+    }
 
-      return [key, value];
-    }));
+    if (FlareTail.debug) {
+      console.info('Data synced:', this.constructor.name, operation, keys);
+    }
 
-    return Promise.resolve(this.map);
+    this.trigger('#Updated', { keys, operation, remote: true });
   }
 
   /**
@@ -375,6 +4421,41 @@ FlareTail.app.Collection = class Collection extends FlareTail.app.Event {
     return Promise.resolve(value);
   }
 
+  /**
+   * Set or add many items to the database in a single transaction. Once all the items are saved, the `#Updated` event
+   * will be fired once with the keys.
+   * @param {Iterable.<Array>} entries - Key-value pairs, like a `Map` or an `Array` of `[key, value]`.
+   * @param {Object} [options] - `on_progress` and `signal`. See `FlareTail.app.DataSource.IndexedDB.prototype.save_all`
+   *  for details.
+   * @returns {Promise.<Map.<(String|Number), Proxy>>} Model instances.
+   */
+  async set_all (entries, options = {}) {
+    entries = [...entries];
+
+    const store = this.datasource.get_store(this.store_name);
+    const key_path = store.obj.keyPath;
+    const keys = entries.map(([key]) => key);
+    // Get new model instances, or support simple key-value data
+    const values = entries.map(([key, value]) => this.model ? new this.model(value) : value);
+    const items = entries.map(([key, value], index) => {
+      return this.model ? values[index].data : this.store_type === 'simple' ? { [key_path]: key, value } : value;
+    });
+
+    await store.save_all(items, options);
+
+    for (const [index, key] of keys.entries()) {
+      this.map.set(key, values[index]);
+    }
+
+    if (FlareTail.debug) {
+      console.info('Data saved:', this.constructor.name, keys.length, 'items');
+    }
+
+    this.trigger('#Updated', { keys, operation: 'save' });
+
+    return this.map;
+  }
+
   /**
    * Get an item by a specific key.
    * @param {(Number|String)} key - Key of the item.
@@ -437,7 +4518,26 @@ FlareTail.app.Collection = class Collection extends FlareTail.app.Event {
  * Provide app view functionalities.
  * @extends FlareTail.app.Event
  */
-FlareTail.app.View = class View extends FlareTail.app.Event {}
+FlareTail.app.View = class View extends FlareTail.app.Event {
+  /**
+   * Determine whether the user can leave the view. This is called by the router before navigating to another route.
+   * Views with unsaved changes can override this to block or confirm the navigation.
+   * @returns {(Boolean|Object|Promise.<(Boolean|Object)>)} `true` to leave, `false` to stay, or
+   *  `{ confirm: String }` to ask the user. See `FlareTail.app.Router.prototype.add_guard` for details.
+   */
+  can_leave () {
+    return true;
+  }
+
+  /**
+   * Release resources held by the view. This is called by the router when the view instance is evicted from the cache.
+   * Views can override this to remove event listeners and DOM elements, but should call `super.destroy()` so that the
+   * event subscriptions are also removed.
+   */
+  destroy () {
+    this.dispose();
+  }
+}
 
 FlareTail.app.View.prototype.get_fragment = FlareTail.util.Content.get_fragment;
 FlareTail.app.View.prototype.get_template = FlareTail.util.Content.get_template;
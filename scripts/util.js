@@ -58,6 +58,7 @@ FlareTail.compatible = (() => {
     'getAll' in IDBObjectStore.prototype, // unprefixed with Firefox 44
     'entries' in Object || 'Iterator' in window, // Firefox 45; use the Iterator polyfill below for older versions
     'prepend' in Element.prototype, // Firefox 49
+    'structuredClone' in window, // Firefox 94
   ];
 
   let compatible = true;